@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const HashRing = require('./hash-ring');
+const { compareVersions, formatVersion, parseVersion } = require('./hlc');
+
+// Periodic anti-entropy between co-replicas. Keys that this pod and a peer
+// both replicate are split into buckets by hash; each side digests the
+// key/version pairs of every bucket and only buckets whose digests differ
+// are compared key by key. Newer entries are pulled, older ones pushed, so a
+// replica that missed writes or deletes (peer timeouts, restarts) converges
+// without shipping the whole keyspace.
+class AntiEntropy {
+  constructor(kvCache, logger, metrics, config) {
+    this.kvCache = kvCache;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.intervalMs = config.cluster.antiEntropyIntervalMs;
+    this.buckets = config.cluster.antiEntropyBuckets;
+    this.interval = null;
+    this.running = false;
+  }
+
+  start() {
+    // An interval of 0 disables the background exchange
+    if (this.intervalMs === 0) return;
+
+    this.interval = setInterval(() => this.runRound(), this.intervalMs);
+    this.interval.unref();
+    this.logger.info({
+      intervalMs: this.intervalMs,
+      buckets: this.buckets
+    }, 'Anti-entropy started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  // Local keys this pod and `peerName` are both replicas for, grouped by
+  // bucket. Only the listed buckets are collected when `only` is given.
+  sharedKeys(peerName, buckets, only = null) {
+    const grouped = new Map();
+
+    for (const key of this.kvCache.localKeys({ includeTombstones: true })) {
+      const owners = this.kvCache.getResponsiblePeers(key);
+      if (!owners.some(node => this.kvCache.isLocalNode(node))) continue;
+      if (!owners.some(node => node.name === peerName)) continue;
+
+      const bucket = HashRing.hash(key) % buckets;
+      if (only && !only.has(bucket)) continue;
+
+      if (!grouped.has(bucket)) {
+        grouped.set(bucket, []);
+      }
+      grouped.get(bucket).push(key);
+    }
+    return grouped;
+  }
+
+  // One hex digest per bucket; empty buckets digest to an empty string
+  digest(peerName, buckets) {
+    const digests = new Array(buckets).fill('');
+
+    for (const [bucket, keys] of this.sharedKeys(peerName, buckets)) {
+      const hash = crypto.createHash('sha1');
+      for (const key of keys.sort()) {
+        const entry = this.kvCache.peekLocal(key);
+        hash.update(`${key}\0${entry ? formatVersion(entry.version) : ''}\n`);
+      }
+      digests[bucket] = hash.digest('hex');
+    }
+    return digests;
+  }
+
+  // Versions of the shared keys in the given buckets, in wire format
+  versions(peerName, buckets, only) {
+    const versions = {};
+
+    for (const keys of this.sharedKeys(peerName, buckets, new Set(only)).values()) {
+      for (const key of keys) {
+        const entry = this.kvCache.peekLocal(key);
+        if (entry) {
+          versions[key] = formatVersion(entry.version);
+        }
+      }
+    }
+    return versions;
+  }
+
+  async runRound() {
+    // Skip a tick rather than overlap with a round that is still running
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      for (const peer of this.kvCache.getPeers()) {
+        try {
+          const repaired = await this.syncPeer(peer);
+          this.metrics.recordAntiEntropyRound('success');
+          if (repaired > 0) {
+            this.logger.info({ peerName: peer.name, repaired }, 'Anti-entropy repaired keys');
+          }
+        } catch (error) {
+          this.metrics.recordAntiEntropyRound('error');
+          this.logger.warn({
+            err: error,
+            peerName: peer.name
+          }, 'Anti-entropy exchange failed');
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Reconcile the keys shared with one peer. Returns the number of keys
+  // repaired on either side.
+  async syncPeer(peer) {
+    const node = this.kvCache.localNode.name;
+    const buckets = this.buckets;
+
+    const digestResponse = await this.kvCache.peerClient.request(
+      peer, 'POST', '/_internal/anti-entropy/digest', { body: { node, buckets } }
+    );
+    if (digestResponse.statusCode !== 200) {
+      throw new Error(`HTTP ${digestResponse.statusCode}`);
+    }
+
+    const remoteDigests = digestResponse.body.digests || [];
+    const differing = this.digest(peer.name, buckets)
+      .map((digest, bucket) => (digest === (remoteDigests[bucket] || '') ? -1 : bucket))
+      .filter(bucket => bucket >= 0);
+
+    if (differing.length === 0) return 0;
+
+    const versionsResponse = await this.kvCache.peerClient.request(
+      peer, 'POST', '/_internal/anti-entropy/versions', { body: { node, buckets, only: differing } }
+    );
+    if (versionsResponse.statusCode !== 200) {
+      throw new Error(`HTTP ${versionsResponse.statusCode}`);
+    }
+
+    const localVersions = this.versions(peer.name, buckets, differing);
+    const remoteVersions = versionsResponse.body.versions || {};
+    const keys = new Set([...Object.keys(localVersions), ...Object.keys(remoteVersions)]);
+    let repaired = 0;
+
+    for (const key of keys) {
+      const order = compareVersions(parseVersion(localVersions[key]), parseVersion(remoteVersions[key]));
+
+      try {
+        if (order < 0) {
+          const entry = await this.kvCache.getFromPeer(peer, key);
+          if (entry !== null && this.kvCache.setLocal(key, entry)) {
+            repaired++;
+          }
+        } else if (order > 0) {
+          const entry = this.kvCache.peekLocal(key);
+          if (entry) {
+            await this.kvCache.setOnPeer(peer, key, entry);
+            repaired++;
+          }
+        }
+      } catch (error) {
+        this.logger.warn({
+          err: error,
+          key,
+          peerName: peer.name
+        }, 'Failed to repair key');
+      }
+    }
+
+    this.logger.debug({
+      peerName: peer.name,
+      buckets: differing.length,
+      keys: keys.size,
+      repaired
+    }, 'Anti-entropy compared differing buckets');
+    this.metrics.recordKeyRepaired('anti_entropy', repaired);
+    return repaired;
+  }
+}
+
+module.exports = AntiEntropy;
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { verifyJwt, loadJwks } = require('./jwt');
+const { UnauthorizedError, ForbiddenError } = require('./errors');
+
+const ACTIONS = ['read', 'write', 'delete', 'list', 'lock'];
+const API_KEY_HEADER = 'x-api-key';
+
+// Client authentication and authorization for the public API. Clients
+// present either a static API key (`X-API-Key`, or `Authorization: ApiKey`
+// for scrapers that can only set that header) or a JWT bearer token signed
+// by a key in the local JWKS file. Both resolve to a set of roles from the
+// policy file:
+//
+//   {
+//     "roles": {
+//       "orders-rw": { "grants": [{ "prefix": "orders/", "actions": ["read", "write", "delete", "list"] }] },
+//       "ops": { "admin": true }
+//     },
+//     "apiKeys": [{ "name": "orders-service", "sha256": "<hex digest of the key>", "roles": ["orders-rw"] }]
+//   }
+//
+// JWT roles come from the token's roles claim. `lock` grants apply to lock
+// names under /locks rather than keys. A grant's prefix "*" matches
+// every key. Admin roles reach /admin/*, /diag, /metrics and /peers, which
+// key grants don't. Without a policy file authentication is off and every
+// request is allowed, as before.
+class ClientAuth {
+  constructor(config, logger, metrics) {
+    this.logger = logger;
+    this.metrics = metrics;
+    this.enabled = Boolean(config.auth.policyFile);
+    this.roles = {};
+    this.apiKeys = new Map();
+    this.jwks = [];
+    this.jwt = config.auth.jwt;
+
+    if (this.enabled) {
+      this.loadPolicy(config.auth.policyFile);
+    }
+    if (this.enabled && config.auth.jwksFile) {
+      this.jwks = loadJwks(config.auth.jwksFile);
+    }
+    if (this.enabled) {
+      logger.info({
+        roles: Object.keys(this.roles).length,
+        apiKeys: this.apiKeys.size,
+        jwksKeys: this.jwks.length
+      }, 'Client authentication enabled');
+    }
+  }
+
+  loadPolicy(file) {
+    const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+    this.roles = policy.roles || {};
+
+    // A typo in an action would otherwise silently deny access, and a
+    // missing prefix would silently grant every key
+    for (const [name, role] of Object.entries(this.roles)) {
+      for (const grant of role.grants || []) {
+        if (typeof grant.prefix !== 'string') {
+          throw new Error(`Role ${name} has a grant without a prefix, use "*" for every key`);
+        }
+        const unknown = (grant.actions || []).filter(action => !ACTIONS.includes(action));
+        if (unknown.length > 0) {
+          throw new Error(`Role ${name} grants unknown actions ${unknown.join(', ')}, expected ${ACTIONS.join(', ')}`);
+        }
+      }
+    }
+
+    for (const apiKey of policy.apiKeys || []) {
+      // Keys may be listed in clear or, preferably, as their SHA-256 digest
+      const digest = apiKey.sha256 || hashKey(apiKey.key);
+      this.apiKeys.set(digest.toLowerCase(), { name: apiKey.name, roles: apiKey.roles || [] });
+    }
+  }
+
+  // Express middleware resolving the caller from its credentials into
+  // req.principal. Requests without credentials carry on as anonymous;
+  // invalid credentials are refused right away.
+  authenticate() {
+    return (req, res, next) => {
+      req.principal = null;
+      if (!this.enabled) return next();
+
+      try {
+        req.principal = this.resolvePrincipal(req);
+        next();
+      } catch (error) {
+        this.reject(req, res, error);
+      }
+    };
+  }
+
+  resolvePrincipal(req) {
+    const authorization = req.get('Authorization') || '';
+    const apiKey = req.get(API_KEY_HEADER) || (authorization.match(/^ApiKey\s+(.+)$/i) || [])[1];
+    if (apiKey) {
+      const entry = this.apiKeys.get(hashKey(apiKey));
+      if (!entry) {
+        throw this.failure('invalid_api_key', 'Invalid API key');
+      }
+      return { type: 'api_key', name: entry.name, roles: entry.roles };
+    }
+
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    if (!match) return null;
+
+    if (this.jwks.length === 0) {
+      throw this.failure('invalid_token', 'Bearer tokens are not accepted');
+    }
+    let claims;
+    try {
+      claims = verifyJwt(match[1], this.jwks, { issuer: this.jwt.issuer, audience: this.jwt.audience });
+    } catch (error) {
+      throw this.failure('invalid_token', error.message);
+    }
+
+    const roles = claims[this.jwt.rolesClaim];
+    return {
+      type: 'jwt',
+      name: claims.sub || 'unknown',
+      roles: Array.isArray(roles) ? roles : String(roles || '').split(' ').filter(Boolean)
+    };
+  }
+
+  failure(reason, message) {
+    const error = new UnauthorizedError(message);
+    error.reason = reason;
+    return error;
+  }
+
+  reject(req, res, error) {
+    const reason = error.reason || (error.statusCode === 403 ? 'forbidden' : 'missing_credentials');
+    this.metrics.recordAuthFailure(reason);
+    req.log.warn({
+      reason,
+      principal: req.principal ? req.principal.name : null,
+      path: req.path
+    }, 'Request refused by client auth');
+
+    if (error.statusCode === 401) {
+      res.set('WWW-Authenticate', 'Bearer');
+    }
+    res.status(error.statusCode).json({ error: error.message });
+  }
+
+  grants(principal) {
+    return principal.roles.flatMap(role => (this.roles[role] && this.roles[role].grants) || []);
+  }
+
+  isAdmin(principal) {
+    return principal.roles.some(role => this.roles[role] && this.roles[role].admin === true);
+  }
+
+  // Whether the principal may perform `action` on `key`
+  can(principal, action, key) {
+    if (!this.enabled) return true;
+    if (!principal) return false;
+
+    return this.grants(principal).some(grant =>
+      (grant.actions || []).includes(action) && matchesPrefix(grant.prefix, key));
+  }
+
+  // Route middleware: the caller must hold `action` on the route's key (or
+  // lock name). For listings and batches (no key) any grant for the action
+  // will do; results are filtered or refused per key.
+  authorize(action) {
+    return (req, res, next) => {
+      if (!this.enabled) return next();
+
+      const key = req.params.key !== undefined ? req.params.key : req.params.name;
+      const allowed = req.principal && (key === undefined
+        ? this.grants(req.principal).some(grant => (grant.actions || []).includes(action))
+        : this.can(req.principal, action, key));
+
+      if (allowed) return next();
+      this.reject(req, res, this.denial(req));
+    };
+  }
+
+  // Middleware for admin and diagnostic routes
+  requireAdmin() {
+    return (req, res, next) => {
+      if (!this.enabled || (req.principal && this.isAdmin(req.principal))) {
+        return next();
+      }
+      this.reject(req, res, this.denial(req));
+    };
+  }
+
+  denial(req) {
+    return req.principal
+      ? new ForbiddenError('Not allowed')
+      : new UnauthorizedError('Authentication required');
+  }
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const matchesPrefix = (prefix, key) => prefix === '*' || key.startsWith(prefix);
+
+module.exports = ClientAuth;
+module.exports.ACTIONS = ACTIONS;
@@ -0,0 +1,260 @@
+const fs = require('fs');
+const { EVICTION_POLICIES } = require('./local-store');
+
+const CONSISTENCY_LEVELS = ['one', 'quorum', 'all'];
+const DISCOVERY_PROVIDERS = ['udp', 'dns', 'static'];
+const DNS_RECORD_TYPES = ['srv', 'a'];
+const PEER_AUTH_MODES = ['none', 'hmac', 'mtls'];
+
+// Every tunable setting, its environment variable, path in the optional JSON
+// config file (CONFIG_FILE) and default. Environment variables win over the
+// file, which wins over the default.
+const SETTINGS = [
+  { path: 'tenant', env: 'TENANT', type: 'string', default: 'default' },
+  { path: 'port', env: 'PORT', type: 'port', default: 3000 },
+  { path: 'internalPort', env: 'INTERNAL_PORT', type: 'port', default: 3001 },
+  { path: 'adminPort', env: 'ADMIN_PORT', type: 'port', default: 3002 },
+  { path: 'admin.exposePublicly', env: 'ADMIN_EXPOSE_PUBLICLY', type: 'boolean', default: false },
+  { path: 'trustProxyHops', env: 'TRUST_PROXY_HOPS', type: 'integer', min: 0, default: 0 },
+
+  { path: 'cluster.replicationFactor', env: 'REPLICATION_FACTOR', type: 'integer', min: 1, default: 2 },
+  { path: 'cluster.virtualNodes', env: 'VIRTUAL_NODES', type: 'integer', min: 1, default: 128 },
+  { path: 'cluster.readConsistency', env: 'READ_CONSISTENCY', type: 'enum', values: CONSISTENCY_LEVELS, default: 'one' },
+  { path: 'cluster.writeConsistency', env: 'WRITE_CONSISTENCY', type: 'enum', values: CONSISTENCY_LEVELS, default: 'one' },
+  { path: 'cluster.peerTimeoutMs', env: 'PEER_TIMEOUT_MS', type: 'integer', min: 1, default: 5000 },
+  { path: 'cluster.readRepairChance', env: 'READ_REPAIR_CHANCE', type: 'ratio', default: 0.1 },
+  { path: 'cluster.antiEntropyIntervalMs', env: 'ANTI_ENTROPY_INTERVAL_MS', type: 'integer', min: 0, default: 60000 },
+  { path: 'cluster.antiEntropyBuckets', env: 'ANTI_ENTROPY_BUCKETS', type: 'integer', min: 1, default: 64 },
+
+  { path: 'cluster.tombstoneGraceMs', env: 'TOMBSTONE_GRACE_MS', type: 'integer', min: 1, default: 24 * 60 * 60 * 1000 },
+  { path: 'cluster.hints.maxEntries', env: 'HINTS_MAX_ENTRIES', type: 'integer', min: 0, default: 10000 },
+  { path: 'cluster.hints.ttlMs', env: 'HINTS_TTL_MS', type: 'integer', min: 1, default: 3 * 60 * 60 * 1000 },
+  { path: 'cluster.hints.replayIntervalMs', env: 'HINTS_REPLAY_INTERVAL_MS', type: 'integer', min: 1, default: 10000 },
+  { path: 'cluster.peerAuth.mode', env: 'PEER_AUTH_MODE', type: 'enum', values: PEER_AUTH_MODES, default: 'none' },
+  { path: 'cluster.peerAuth.secretFile', env: 'PEER_AUTH_SECRET_FILE', type: 'string', default: '' },
+  { path: 'cluster.peerAuth.maxClockSkewMs', env: 'PEER_AUTH_MAX_CLOCK_SKEW_MS', type: 'integer', min: 1, default: 30000 },
+  { path: 'cluster.peerAuth.tls.certFile', env: 'PEER_TLS_CERT_FILE', type: 'string', default: '' },
+  { path: 'cluster.peerAuth.tls.keyFile', env: 'PEER_TLS_KEY_FILE', type: 'string', default: '' },
+  { path: 'cluster.peerAuth.tls.caFile', env: 'PEER_TLS_CA_FILE', type: 'string', default: '' },
+
+  { path: 'discovery.provider', env: 'DISCOVERY_PROVIDER', type: 'enum', values: DISCOVERY_PROVIDERS, default: 'udp' },
+  { path: 'discovery.port', env: 'DISCOVERY_PORT', type: 'port', default: 9999 },
+  { path: 'discovery.secretFile', env: 'DISCOVERY_SECRET_FILE', type: 'string', default: '' },
+  { path: 'discovery.maxClockSkewMs', env: 'DISCOVERY_MAX_CLOCK_SKEW_MS', type: 'integer', min: 1, default: 30000 },
+  { path: 'discovery.heartbeatIntervalMs', env: 'DISCOVERY_HEARTBEAT_INTERVAL_MS', type: 'integer', min: 1, default: 30000 },
+  { path: 'discovery.cleanupIntervalMs', env: 'DISCOVERY_CLEANUP_INTERVAL_MS', type: 'integer', min: 1, default: 60000 },
+  { path: 'discovery.staleThresholdMs', env: 'DISCOVERY_STALE_THRESHOLD_MS', type: 'integer', min: 1, default: 90000 },
+  { path: 'discovery.swim.protocolPeriodMs', env: 'SWIM_PROTOCOL_PERIOD_MS', type: 'integer', min: 1, default: 1000 },
+  { path: 'discovery.swim.pingTimeoutMs', env: 'SWIM_PING_TIMEOUT_MS', type: 'integer', min: 1, default: 300 },
+  { path: 'discovery.swim.indirectChecks', env: 'SWIM_INDIRECT_CHECKS', type: 'integer', min: 0, default: 3 },
+  { path: 'discovery.swim.suspicionTimeoutMs', env: 'SWIM_SUSPICION_TIMEOUT_MS', type: 'integer', min: 1, default: 5000 },
+  { path: 'discovery.refreshIntervalMs', env: 'DISCOVERY_REFRESH_INTERVAL_MS', type: 'integer', min: 1, default: 5000 },
+  { path: 'discovery.dns.name', env: 'DISCOVERY_DNS_NAME', type: 'string', default: '' },
+  { path: 'discovery.dns.recordType', env: 'DISCOVERY_DNS_RECORD_TYPE', type: 'enum', values: DNS_RECORD_TYPES, default: 'srv' },
+  { path: 'discovery.static.peers', env: 'PEERS', type: 'string', default: '' },
+
+  { path: 'warmup.discoveryWindowMs', env: 'WARMUP_DISCOVERY_WINDOW_MS', type: 'integer', min: 0, default: 5000 },
+  { path: 'warmup.maxWaitMs', env: 'WARMUP_MAX_WAIT_MS', type: 'integer', min: 0, default: 60000 },
+  { path: 'drain.timeoutMs', env: 'DRAIN_TIMEOUT_MS', type: 'integer', min: 0, default: 25000 },
+
+  { path: 'auth.policyFile', env: 'AUTH_POLICY_FILE', type: 'string', default: '' },
+  { path: 'auth.jwksFile', env: 'AUTH_JWKS_FILE', type: 'string', default: '' },
+  { path: 'auth.jwt.issuer', env: 'AUTH_JWT_ISSUER', type: 'string', default: '' },
+  { path: 'auth.jwt.audience', env: 'AUTH_JWT_AUDIENCE', type: 'string', default: '' },
+  { path: 'auth.jwt.rolesClaim', env: 'AUTH_JWT_ROLES_CLAIM', type: 'string', default: 'roles' },
+
+  { path: 'limits.maxKeyBytes', env: 'LIMIT_MAX_KEY_BYTES', type: 'integer', min: 1, default: 1024 },
+  { path: 'limits.maxValueBytes', env: 'LIMIT_MAX_VALUE_BYTES', type: 'integer', min: 1, default: 100 * 1024 },
+  { path: 'limits.maxBatchKeys', env: 'LIMIT_MAX_BATCH_KEYS', type: 'integer', min: 1, default: 100 },
+  { path: 'limits.maxKeys', env: 'LIMIT_MAX_KEYS', type: 'integer', min: 0, default: 0 },
+  { path: 'limits.usageRefreshIntervalMs', env: 'LIMIT_USAGE_REFRESH_INTERVAL_MS', type: 'integer', min: 1, default: 5000 },
+  { path: 'limits.rateLimit.requestsPerSecond', env: 'RATE_LIMIT_RPS', type: 'integer', min: 0, default: 0 },
+  { path: 'limits.rateLimit.burst', env: 'RATE_LIMIT_BURST', type: 'integer', min: 1, default: 50 },
+
+  { path: 'cache.maxEntries', env: 'CACHE_MAX_ENTRIES', type: 'integer', min: 0, default: 0 },
+  { path: 'cache.maxBytes', env: 'CACHE_MAX_BYTES', type: 'integer', min: 0, default: 0 },
+  { path: 'cache.evictionPolicy', env: 'CACHE_EVICTION_POLICY', type: 'enum', values: EVICTION_POLICIES, default: 'lru' },
+  { path: 'cache.nearTtlMs', env: 'CACHE_NEAR_TTL_MS', type: 'integer', min: 0, default: 1000 },
+  { path: 'cache.ttlSweepIntervalMs', env: 'TTL_SWEEP_INTERVAL_MS', type: 'integer', min: 1, default: 1000 }
+];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const getPath = (object, path) => {
+  return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+};
+
+const setPath = (object, path, value) => {
+  const parts = path.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((node, part) => (node[part] = node[part] || {}), object);
+  target[last] = value;
+};
+
+const readConfigFile = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE ${file} could not be read: ${error.message}`]);
+  }
+};
+
+// Convert a raw env/file value to the setting's type, or return an error message
+const coerce = (setting, raw) => {
+  const source = `${setting.env} (${setting.path})`;
+
+  switch (setting.type) {
+    case 'string':
+      return { value: String(raw) };
+    case 'enum': {
+      const value = String(raw).toLowerCase();
+      if (!setting.values.includes(value)) {
+        return { error: `${source} must be one of ${setting.values.join(', ')}, got "${raw}"` };
+      }
+      return { value };
+    }
+    case 'port':
+    case 'integer': {
+      const value = Number(raw);
+      const min = setting.type === 'port' ? 1 : setting.min;
+      const max = setting.type === 'port' ? 65535 : Infinity;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+        return { error: `${source} must be an integer ${range}, got "${raw}"` };
+      }
+      return { value };
+    }
+    case 'boolean': {
+      const value = String(raw).toLowerCase();
+      if (!['true', 'false', '1', '0'].includes(value)) {
+        return { error: `${source} must be true or false, got "${raw}"` };
+      }
+      return { value: value === 'true' || value === '1' };
+    }
+    case 'ratio': {
+      const value = Number(raw);
+      if (raw === '' || !Number.isFinite(value) || value < 0 || value > 1) {
+        return { error: `${source} must be a number between 0 and 1, got "${raw}"` };
+      }
+      return { value };
+    }
+    default:
+      return { error: `${source} has unknown type ${setting.type}` };
+  }
+};
+
+// Rules that involve more than one setting
+const validateCombinations = (config) => {
+  const problems = [];
+  const ports = [config.port, config.internalPort, config.adminPort, config.discovery.port];
+
+  if (new Set(ports).size !== ports.length) {
+    problems.push(`PORT, INTERNAL_PORT, ADMIN_PORT and DISCOVERY_PORT must differ, got ${ports.join(', ')}`);
+  }
+  if (config.discovery.provider === 'udp' &&
+      config.discovery.staleThresholdMs <= config.discovery.heartbeatIntervalMs) {
+    problems.push('DISCOVERY_STALE_THRESHOLD_MS must be greater than DISCOVERY_HEARTBEAT_INTERVAL_MS, ' +
+      'otherwise live peers are dropped between heartbeats');
+  }
+  if (config.discovery.swim.pingTimeoutMs >= config.discovery.swim.protocolPeriodMs) {
+    problems.push('SWIM_PING_TIMEOUT_MS must be lower than SWIM_PROTOCOL_PERIOD_MS, ' +
+      'otherwise indirect probes never get a chance');
+  }
+  if (config.discovery.secretFile && !fs.existsSync(config.discovery.secretFile)) {
+    problems.push(`DISCOVERY_SECRET_FILE ${config.discovery.secretFile} does not exist`);
+  }
+  const peerAuth = config.cluster.peerAuth;
+  const requiredFiles = {
+    hmac: { PEER_AUTH_SECRET_FILE: peerAuth.secretFile },
+    mtls: {
+      PEER_TLS_CERT_FILE: peerAuth.tls.certFile,
+      PEER_TLS_KEY_FILE: peerAuth.tls.keyFile,
+      PEER_TLS_CA_FILE: peerAuth.tls.caFile
+    }
+  }[peerAuth.mode] || {};
+  for (const [env, file] of Object.entries(requiredFiles)) {
+    if (!file) {
+      problems.push(`${env} is required when PEER_AUTH_MODE is ${peerAuth.mode}`);
+    } else if (!fs.existsSync(file)) {
+      problems.push(`${env} ${file} does not exist`);
+    }
+  }
+  for (const [env, file] of Object.entries({ AUTH_POLICY_FILE: config.auth.policyFile, AUTH_JWKS_FILE: config.auth.jwksFile })) {
+    if (file && !fs.existsSync(file)) {
+      problems.push(`${env} ${file} does not exist`);
+    }
+  }
+  if (config.auth.jwksFile && !config.auth.policyFile) {
+    problems.push('AUTH_JWKS_FILE needs AUTH_POLICY_FILE to map token roles to grants');
+  }
+  if (config.discovery.provider === 'dns' && !config.discovery.dns.name) {
+    problems.push('DISCOVERY_DNS_NAME is required when DISCOVERY_PROVIDER is dns');
+  }
+  if (config.discovery.provider === 'static' && !config.discovery.static.peers.trim()) {
+    problems.push('PEERS is required when DISCOVERY_PROVIDER is static');
+  }
+  if (config.discovery.provider !== 'udp' &&
+      config.discovery.staleThresholdMs <= config.discovery.refreshIntervalMs) {
+    problems.push('DISCOVERY_STALE_THRESHOLD_MS must be greater than DISCOVERY_REFRESH_INTERVAL_MS');
+  }
+  if (config.cluster.peerTimeoutMs >= config.discovery.staleThresholdMs) {
+    problems.push('PEER_TIMEOUT_MS must be lower than DISCOVERY_STALE_THRESHOLD_MS');
+  }
+  if (config.warmup.maxWaitMs < config.warmup.discoveryWindowMs) {
+    problems.push('WARMUP_MAX_WAIT_MS must not be lower than WARMUP_DISCOVERY_WINDOW_MS');
+  }
+  // A replica that missed a delete must be repaired before the tombstone is
+  // collected, or it hands the deleted value back
+  if (config.cluster.tombstoneGraceMs <= config.cluster.hints.ttlMs ||
+      config.cluster.tombstoneGraceMs <= config.cluster.antiEntropyIntervalMs) {
+    problems.push('TOMBSTONE_GRACE_MS must be greater than HINTS_TTL_MS and ANTI_ENTROPY_INTERVAL_MS');
+  }
+
+  return problems;
+};
+
+// Build the validated, frozen service configuration. Throws ConfigError
+// listing every problem so a misconfigured pod fails fast at startup.
+const loadConfig = (env = process.env) => {
+  const file = env.CONFIG_FILE ? readConfigFile(env.CONFIG_FILE) : {};
+  const config = {};
+  const problems = [];
+
+  for (const setting of SETTINGS) {
+    let raw = env[setting.env];
+    if (raw === undefined || raw === '') {
+      raw = getPath(file, setting.path);
+    }
+    if (raw === undefined || raw === null) {
+      raw = setting.default;
+    }
+
+    const { value, error } = coerce(setting, raw);
+    if (error) {
+      problems.push(error);
+    } else {
+      setPath(config, setting.path, value);
+    }
+  }
+
+  if (problems.length === 0) {
+    problems.push(...validateCombinations(config));
+  }
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  const freeze = (object) => {
+    Object.values(object).forEach(value => typeof value === 'object' && freeze(value));
+    return Object.freeze(object);
+  };
+  return freeze(config);
+};
+
+module.exports = { loadConfig, ConfigError, CONSISTENCY_LEVELS, SETTINGS };
@@ -0,0 +1,22 @@
+const UDPDiscovery = require('./kubernetes-discovery');
+const DNSDiscovery = require('./dns-discovery');
+const StaticDiscovery = require('./static-discovery');
+
+// Membership sources, selected with DISCOVERY_PROVIDER. UDP multicast needs
+// no setup but many CNIs drop it; DNS reads a headless Service; static reads
+// a PEERS seed list. All of them expose start, stop, leave, getPeers,
+// getLocalNode, onPeerDiscovered, peerLeft and isRunning, which is all the
+// cache, warm-up and drain need. `options.peerAuth` authenticates the
+// identity checks the dns and static providers make on the internal listener.
+const PROVIDERS = {
+  udp: UDPDiscovery,
+  dns: DNSDiscovery,
+  static: StaticDiscovery
+};
+
+const createDiscovery = (tenant, logger, metrics, config, options = {}) => {
+  const Provider = PROVIDERS[config.discovery.provider];
+  return new Provider(tenant, logger, metrics, config, options);
+};
+
+module.exports = { createDiscovery, PROVIDERS };
@@ -0,0 +1,40 @@
+const dns = require('dns');
+const PolledDiscovery = require('./polled-discovery');
+
+// Members from the DNS records of a headless Service. SRV lookups (e.g.
+// `_internal._tcp.kv.default.svc.cluster.local`) give each pod's host and
+// internal port; A lookups give pod IPs, which are assumed to serve the
+// internal listener on the same port as this pod. The resolver can be
+// injected (options.resolver), so the provider can be exercised without a
+// cluster DNS.
+class DNSDiscovery extends PolledDiscovery {
+  constructor(tenant, logger, metrics, config, options = {}) {
+    super(tenant, logger, metrics, config, options);
+    this.provider = 'dns';
+    this.name = config.discovery.dns.name;
+    this.recordType = config.discovery.dns.recordType;
+    this.resolver = options.resolver || new dns.promises.Resolver();
+  }
+
+  async resolveAddresses() {
+    if (this.recordType === 'a') {
+      const ips = await this.resolver.resolve4(this.name);
+      return ips.map(ip => ({ ip, internalPort: this.internalPort }));
+    }
+
+    const records = await this.resolver.resolveSrv(this.name);
+    const addresses = await Promise.all(records.map(async (record) => {
+      try {
+        const ips = await this.resolver.resolve4(record.name);
+        return ips.map(ip => ({ ip, internalPort: record.port }));
+      } catch (error) {
+        // Pods that aren't ready yet may be listed before their own record exists
+        this.logger.debug({ err: error, target: record.name }, 'Failed to resolve SRV target');
+        return [];
+      }
+    }));
+    return addresses.flat();
+  }
+}
+
+module.exports = DNSDiscovery;
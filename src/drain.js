@@ -0,0 +1,99 @@
+// Takes a pod out of the cluster before it stops: announce the departure so
+// peers rebalance immediately, fail readiness so the Service stops routing
+// to it, hand owned keys to their new owners and let in-flight requests
+// finish. The whole sequence is bounded by the drain timeout so a stuck peer
+// can't hold up shutdown past the termination grace period.
+class DrainController {
+  constructor(discovery, kvCache, logger, config) {
+    this.discovery = discovery;
+    this.kvCache = kvCache;
+    this.logger = logger;
+    this.timeoutMs = config.drain.timeoutMs;
+    this.state = 'serving';
+    this.inFlight = 0;
+    this.idleWaiters = [];
+    this.draining = null;
+  }
+
+  isDraining() {
+    return this.state !== 'serving';
+  }
+
+  // Express middleware counting requests that haven't finished yet
+  trackRequests() {
+    return (req, res, next) => {
+      this.inFlight++;
+
+      let done = false;
+      const finish = () => {
+        if (done) return;
+        done = true;
+        this.inFlight--;
+        if (this.inFlight === 0) {
+          this.idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+      };
+
+      res.on('finish', finish);
+      res.on('close', finish);
+      next();
+    };
+  }
+
+  // Resolves once no tracked request is in flight
+  waitForIdle() {
+    if (this.inFlight === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  // Start draining; calling it again returns the drain already under way
+  drain(reason) {
+    if (!this.draining) {
+      this.draining = this.run(reason);
+    }
+    return this.draining;
+  }
+
+  async run(reason) {
+    const started = Date.now();
+    this.state = 'draining';
+    this.logger.info({ reason, timeoutMs: this.timeoutMs }, 'Draining pod');
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve('timeout'), this.timeoutMs);
+    });
+
+    const steps = (async () => {
+      this.discovery.leave();
+
+      const { sent, failed } = await this.kvCache.handoff();
+      this.logger.info({ sent, failed }, 'Handed off owned keys');
+
+      await this.waitForIdle();
+      return 'complete';
+    })();
+
+    const result = await Promise.race([steps, timeout]).catch(error => {
+      this.logger.error({ err: error }, 'Drain failed');
+      return 'error';
+    });
+    clearTimeout(timer);
+
+    this.state = 'drained';
+    if (result === 'timeout') {
+      this.logger.warn({ inFlight: this.inFlight }, 'Drain timed out, continuing shutdown');
+    } else {
+      this.logger.info({ durationMs: Date.now() - started, result }, 'Drain finished');
+    }
+    return result;
+  }
+
+  getStatus() {
+    return { state: this.state, inFlight: this.inFlight };
+  }
+}
+
+module.exports = DrainController;
@@ -0,0 +1,71 @@
+// Errors that carry the HTTP status the API should answer with. Route
+// handlers use `error.statusCode || 500`, so anything else stays a 500.
+class KVError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+  }
+}
+
+class UnauthorizedError extends KVError {
+  constructor(message) {
+    super(message, 401);
+  }
+}
+
+class ForbiddenError extends KVError {
+  constructor(message) {
+    super(message, 403);
+  }
+}
+
+class PayloadTooLargeError extends KVError {
+  constructor(message) {
+    super(message, 413);
+  }
+}
+
+// `retryAfterMs` becomes the Retry-After header when known
+class TooManyRequestsError extends KVError {
+  constructor(message, retryAfterMs = null) {
+    super(message, 429);
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class ConflictError extends KVError {
+  constructor(message) {
+    super(message, 409);
+  }
+}
+
+class PreconditionFailedError extends KVError {
+  constructor(message) {
+    super(message, 412);
+  }
+}
+
+class UnavailableError extends KVError {
+  constructor(message) {
+    super(message, 503);
+  }
+}
+
+// Rebuild an error returned by a peer so it surfaces with the same status
+const fromResponse = (statusCode, body) => {
+  const message = (body && body.error) || `HTTP ${statusCode}`;
+  return new KVError(message, statusCode);
+};
+
+module.exports = {
+  KVError,
+  UnauthorizedError,
+  ForbiddenError,
+  PayloadTooLargeError,
+  TooManyRequestsError,
+  ConflictError,
+  PreconditionFailedError,
+  UnavailableError,
+  fromResponse
+};
@@ -0,0 +1,163 @@
+// SWIM-style failure detector. Every protocol period one member is probed
+// with a direct ping; if no ack arrives within the ping timeout, a few other
+// members are asked to ping it on our behalf (ping-req). A member that stays
+// silent for the whole period is reported as suspect, and the discovery
+// module spreads that through gossip until the member refutes it or the
+// suspicion times out and it is declared dead.
+//
+// Members are probed in a shuffled round-robin order so every member is
+// checked within a bounded number of periods.
+class FailureDetector {
+  constructor(discovery, logger, config) {
+    this.discovery = discovery;
+    this.logger = logger;
+    this.protocolPeriodMs = config.discovery.swim.protocolPeriodMs;
+    this.pingTimeoutMs = config.discovery.swim.pingTimeoutMs;
+    this.indirectChecks = config.discovery.swim.indirectChecks;
+    this.seq = 0;
+    this.pendingAcks = new Map();
+    this.probeOrder = [];
+    this.probing = false;
+    this.interval = null;
+  }
+
+  start() {
+    this.interval = setInterval(() => this.probeNext(), this.protocolPeriodMs);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    for (const { timer, resolve } of this.pendingAcks.values()) {
+      clearTimeout(timer);
+      resolve(false);
+    }
+    this.pendingAcks.clear();
+  }
+
+  // Next member to probe, refilling and reshuffling the order once every
+  // member has had its turn
+  nextTarget() {
+    const members = new Map(this.discovery.getProbeTargets().map(peer => [peer.name, peer]));
+
+    while (this.probeOrder.length > 0) {
+      const target = members.get(this.probeOrder.shift());
+      if (target) return target;
+    }
+
+    this.probeOrder = shuffle([...members.keys()]);
+    const next = this.probeOrder.shift();
+    return next ? members.get(next) : null;
+  }
+
+  async probeNext() {
+    // A probe never outlives its period, but don't stack them if the event
+    // loop fell behind
+    if (this.probing) return;
+
+    const target = this.nextTarget();
+    if (!target) return;
+
+    this.probing = true;
+    try {
+      if (!await this.probe(target)) {
+        this.logger.debug({ peerName: target.name }, 'Peer failed direct and indirect probes');
+        this.discovery.suspect(target.name);
+      }
+    } finally {
+      this.probing = false;
+    }
+  }
+
+  // Direct ping, then ping-req through up to `indirectChecks` other members.
+  // Resolves true as soon as any ack for the target arrives.
+  async probe(target) {
+    if (await this.ping(target, this.pingTimeoutMs)) {
+      return true;
+    }
+
+    const helpers = shuffle(this.discovery.getProbeTargets().filter(peer => peer.name !== target.name))
+      .slice(0, this.indirectChecks);
+    if (helpers.length === 0) return false;
+
+    const remaining = Math.max(this.protocolPeriodMs - this.pingTimeoutMs, 1);
+    const acks = helpers.map(helper => this.pingReq(helper, target, remaining));
+
+    return new Promise(resolve => {
+      let pending = acks.length;
+      acks.forEach(ack => ack.then(ok => {
+        pending--;
+        if (ok || pending === 0) resolve(ok);
+      }));
+    });
+  }
+
+  ping(target, timeoutMs) {
+    const seq = ++this.seq;
+    this.discovery.sendTo(target, { type: 'ping', seq, target: target.name });
+    return this.waitForAck(seq, target.name, timeoutMs);
+  }
+
+  pingReq(helper, target, timeoutMs) {
+    const seq = ++this.seq;
+    this.discovery.sendTo(helper, {
+      type: 'ping-req',
+      seq,
+      target: { name: target.name, ip: target.ip }
+    });
+    return this.waitForAck(seq, target.name, timeoutMs);
+  }
+
+  waitForAck(seq, name, timeoutMs) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.pendingAcks.delete(seq);
+        resolve(false);
+      }, timeoutMs);
+      this.pendingAcks.set(seq, { name, timer, resolve });
+    });
+  }
+
+  // Handle ping, ping-req and ack messages routed here by the discovery module
+  handleMessage(message, sender) {
+    switch (message.type) {
+      case 'ping':
+        // Only answer pings meant for this pod, in case its IP was reused
+        if (message.target === this.discovery.podName) {
+          this.discovery.sendTo(sender, { type: 'ack', seq: message.seq, target: message.target });
+        }
+        break;
+      case 'ping-req':
+        this.ping(message.target, this.pingTimeoutMs).then(ok => {
+          if (ok) {
+            this.discovery.sendTo(sender, { type: 'ack', seq: message.seq, target: message.target.name });
+          }
+        });
+        break;
+      case 'ack': {
+        const pending = this.pendingAcks.get(message.seq);
+        if (pending && pending.name === message.target) {
+          clearTimeout(pending.timer);
+          this.pendingAcks.delete(message.seq);
+          pending.resolve(true);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+}
+
+// Fisher-Yates shuffle, in place
+const shuffle = (items) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+module.exports = FailureDetector;
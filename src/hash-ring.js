@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+// Consistent-hash ring keyed by stable node identity (pod name).
+// Each node is placed at several virtual points so load spreads evenly and
+// adding or removing one node only moves ~1/N of the keys.
+class HashRing {
+  constructor(virtualNodes = 128) {
+    this.virtualNodes = virtualNodes;
+    this.nodes = new Map();
+    this.points = [];
+  }
+
+  // 32-bit position on the ring taken from an MD5 digest, which spreads far
+  // better than a shift-and-add string hash
+  static hash(value) {
+    return crypto.createHash('md5').update(value).digest().readUInt32BE(0);
+  }
+
+  // Replace the ring membership. Nodes are identified by `name`.
+  setNodes(nodes) {
+    this.nodes = new Map(nodes.map(node => [node.name, node]));
+    this.points = [];
+
+    for (const name of this.nodes.keys()) {
+      for (let i = 0; i < this.virtualNodes; i++) {
+        this.points.push({ position: HashRing.hash(`${name}#${i}`), name });
+      }
+    }
+
+    // Break position ties by name so every pod builds an identical ring
+    this.points.sort((a, b) => a.position - b.position || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  }
+
+  // Walk clockwise from the key's position and collect `count` distinct nodes.
+  // The first node returned is the key's primary owner.
+  getNodes(key, count) {
+    if (this.points.length === 0) return [];
+
+    const position = HashRing.hash(key);
+    const wanted = Math.min(count, this.nodes.size);
+    const owners = [];
+    const seen = new Set();
+
+    for (let i = this.findIndex(position); owners.length < wanted; i = (i + 1) % this.points.length) {
+      const { name } = this.points[i];
+      if (!seen.has(name)) {
+        seen.add(name);
+        owners.push(this.nodes.get(name));
+      }
+    }
+
+    return owners;
+  }
+
+  // Binary search for the first point at or after `position`, wrapping to 0
+  findIndex(position) {
+    let low = 0;
+    let high = this.points.length;
+
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.points[mid].position < position) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low === this.points.length ? 0 : low;
+  }
+
+  size() {
+    return this.nodes.size;
+  }
+}
+
+module.exports = HashRing;
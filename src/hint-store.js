@@ -0,0 +1,78 @@
+// Writes that could not reach a replica, held by the coordinating pod until
+// the replica is reachable again (hinted handoff). Hints are
+// { peer, key, op, payload, createdAt }; a newer hint for the same peer and
+// key replaces the older one, so a flapping replica only receives the latest
+// state of each key.
+//
+// `hints` is kept in insertion order, which is also creation order, so both
+// the oldest hint (dropped when full) and expired hints are at the front.
+class HintStore {
+  constructor(options = {}) {
+    this.hints = new Map();
+    this.maxEntries = options.maxEntries || 0;
+    this.ttlMs = options.ttlMs;
+    this.onDiscard = options.onDiscard || (() => {});
+  }
+
+  id(peerName, key) {
+    return `${peerName}\0${key}`;
+  }
+
+  // Queue a write for a peer. Returns false when hints are disabled.
+  add(peerName, key, op, payload, now = Date.now()) {
+    if (this.maxEntries === 0) return false;
+
+    const id = this.id(peerName, key);
+    const previous = this.hints.get(id);
+    this.hints.delete(id);
+
+    // A TTL change on a key whose value is still pending travels with the value
+    if (op === 'touch' && previous && previous.op === 'set') {
+      op = 'set';
+      payload = { ...previous.payload, expiresAt: payload.expiresAt, version: payload.version };
+    }
+
+    this.hints.set(id, { peer: peerName, key, op, payload, createdAt: now });
+    this.prune(now);
+
+    while (this.hints.size > this.maxEntries) {
+      const [oldest, hint] = this.hints.entries().next().value;
+      this.hints.delete(oldest);
+      this.onDiscard(hint, 'dropped');
+    }
+    return true;
+  }
+
+  // Hints for one peer, oldest first
+  forPeer(peerName, now = Date.now()) {
+    this.prune(now);
+    return [...this.hints.values()].filter(hint => hint.peer === peerName);
+  }
+
+  peers(now = Date.now()) {
+    this.prune(now);
+    return new Set([...this.hints.values()].map(hint => hint.peer));
+  }
+
+  // Remove a hint once delivered, unless it was replaced while in flight
+  remove(hint) {
+    const id = this.id(hint.peer, hint.key);
+    if (this.hints.get(id) === hint) {
+      this.hints.delete(id);
+    }
+  }
+
+  prune(now = Date.now()) {
+    for (const [id, hint] of this.hints) {
+      if (now - hint.createdAt < this.ttlMs) break;
+      this.hints.delete(id);
+      this.onDiscard(hint, 'expired');
+    }
+  }
+
+  get size() {
+    return this.hints.size;
+  }
+}
+
+module.exports = HintStore;
@@ -0,0 +1,70 @@
+// Hybrid logical clock. Versions are { wall, logical, node }: wall is the
+// physical time in ms, logical breaks ties within the same millisecond and
+// node (the writer pod name) makes every version totally ordered, so all
+// replicas pick the same last writer without coordination.
+class HybridLogicalClock {
+  constructor(node, clock = Date.now) {
+    this.node = node;
+    this.clock = clock;
+    this.wall = 0;
+    this.logical = 0;
+  }
+
+  // Issue a version for a local write
+  now() {
+    const physical = this.clock();
+
+    if (physical > this.wall) {
+      this.wall = physical;
+      this.logical = 0;
+    } else {
+      this.logical++;
+    }
+
+    return { wall: this.wall, logical: this.logical, node: this.node };
+  }
+
+  // Fold in a version received from another pod so later local writes are
+  // ordered after it even if our physical clock lags behind
+  update(remote) {
+    const physical = this.clock();
+    const wall = Math.max(this.wall, remote.wall, physical);
+
+    if (wall === this.wall && wall === remote.wall) {
+      this.logical = Math.max(this.logical, remote.logical) + 1;
+    } else if (wall === this.wall) {
+      this.logical++;
+    } else if (wall === remote.wall) {
+      this.logical = remote.logical + 1;
+    } else {
+      this.logical = 0;
+    }
+    this.wall = wall;
+  }
+}
+
+// Total order over versions: -1 if a is older than b, 1 if newer, 0 if equal.
+// A missing version is older than any real one.
+const compareVersions = (a, b) => {
+  if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+  if (a.wall !== b.wall) return a.wall < b.wall ? -1 : 1;
+  if (a.logical !== b.logical) return a.logical < b.logical ? -1 : 1;
+  if (a.node !== b.node) return a.node < b.node ? -1 : 1;
+  return 0;
+};
+
+// String form used in API responses and on the wire: "<wall>-<logical>@<node>"
+const formatVersion = (version) => {
+  return version ? `${version.wall}-${version.logical}@${version.node}` : null;
+};
+
+const parseVersion = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const match = /^(\d+)-(\d+)@(.+)$/.exec(value);
+  if (!match) return null;
+
+  return { wall: Number(match[1]), logical: Number(match[2]), node: match[3] };
+};
+
+module.exports = { HybridLogicalClock, compareVersions, formatVersion, parseVersion };
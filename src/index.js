@@ -1,32 +1,74 @@
+const crypto = require('crypto');
+const { once } = require('events');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const pinoHttp = require('pino-http');
-const UDPDiscovery = require('./kubernetes-discovery');
+const { createDiscovery } = require('./discovery');
+const PeerAuth = require('./peer-auth');
+const ClientAuth = require('./client-auth');
+const RateLimiter = require('./rate-limiter');
+const Quotas = require('./quotas');
+const Locks = require('./locks');
+const { LOCK_KEY_PREFIX, isLockKey } = Locks;
 const KVCache = require('./kv-cache');
-const { createLogger } = require('./logger');
+const AntiEntropy = require('./anti-entropy');
+const DrainController = require('./drain');
+const WarmUp = require('./warmup');
+const { loadConfig, CONSISTENCY_LEVELS } = require('./config');
+const { createInternalRouter } = require('./internal-api');
+const { formatVersion } = require('./hlc');
+const { PayloadTooLargeError } = require('./errors');
 const MetricsCollector = require('./metrics');
 const { initializeTracing } = require('./tracing');
 
+// Load and validate configuration before anything else starts
+let config;
+try {
+  config = loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
 const app = express();
-const port = process.env.PORT || 3000;
-const tenant = process.env.TENANT || 'default';
+const { port, internalPort, adminPort, tenant } = config;
+
+// Number of proxies (e.g. the ingress) in front of the pod whose
+// X-Forwarded-For entries are trusted for the client address
+app.set('trust proxy', config.trustProxyHops);
+
+// Room in a request body for the fields around the value (ttl, key names)
+const BODY_ENVELOPE_BYTES = 1024;
+
+const BATCH_ROUTES = ['/kv/_mget', '/kv/_mset', '/kv/_mdelete'];
+
+// Keys per scan page of a listing: the largest `limit` a client may ask
+// for, and the page size used to stream a listing without one
+const MAX_LIST_LIMIT = 10000;
+const LIST_PAGE_SIZE = 1000;
 
 // Initialize tracing
 const tracing = initializeTracing(tenant);
 
 // Initialize logger and metrics
-const { createLogger, createChildLogger, getLogLevels, setLogLevel, getLoggerModules } = require('./logger');
+const { createLogger, createChildLogger, getLogLevels, setLogLevel, getLoggerModules, REDACTED_HEADERS } = require('./logger');
 const logger = createLogger(tenant);
 const metrics = new MetricsCollector(tenant);
 
+// Child loggers per module
+const discoveryLogger = createChildLogger(logger, 'discovery');
+const cacheLogger = createChildLogger(logger, 'cache');
+const httpLogger = createChildLogger(logger, 'http');
+const replicationLogger = createChildLogger(logger, 'replication');
+const drainLogger = createChildLogger(logger, 'drain');
+
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
 
 // Add request logging with tenant context
-app.use(pinoHttp({
+const requestLogging = pinoHttp({
   logger: httpLogger,
   customLogLevel: function (req, res, err) {
     if (res.statusCode >= 400 && res.statusCode < 500) {
@@ -42,10 +84,11 @@ app.use(pinoHttp({
   customErrorMessage: function (req, res, err) {
     return `${req.method} ${req.url} errored`;
   }
-}));
+});
+app.use(requestLogging);
 
 // Metrics middleware
-app.use((req, res, next) => {
+const requestMetrics = (req, res, next) => {
   const start = Date.now();
   
   res.on('finish', () => {
@@ -55,15 +98,58 @@ app.use((req, res, next) => {
   });
   
   next();
-});
+};
+app.use(requestMetrics);
+// Batch bodies may carry LIMIT_MAX_BATCH_KEYS keys and values; everything
+// else at most one value
+app.use(BATCH_ROUTES, express.json({
+  limit: config.limits.maxBatchKeys * (config.limits.maxKeyBytes + config.limits.maxValueBytes + BODY_ENVELOPE_BYTES)
+}));
+app.use(express.json({ limit: config.limits.maxValueBytes + BODY_ENVELOPE_BYTES }));
 
-// Initialize services with child loggers
-const discoveryLogger = createChildLogger(logger, 'discovery');
-const cacheLogger = createChildLogger(logger, 'cache');
-const httpLogger = createChildLogger(logger, 'http');
+// Initialize services
+const peerAuth = new PeerAuth(config, tenant, replicationLogger, metrics);
+const discovery = createDiscovery(tenant, discoveryLogger, metrics, config, { peerAuth });
+const kvCache = new KVCache(discovery, cacheLogger, metrics, config, peerAuth);
+const antiEntropy = new AntiEntropy(kvCache, replicationLogger, metrics, config);
+const drainer = new DrainController(discovery, kvCache, drainLogger, config);
+const warmUp = new WarmUp(discovery, kvCache, cacheLogger, config);
+const clientAuth = new ClientAuth(config, httpLogger, metrics);
+const rateLimiter = new RateLimiter(config, httpLogger, metrics);
+const quotas = new Quotas(kvCache, cacheLogger, metrics, config);
+const locks = new Locks(kvCache, cacheLogger, metrics);
+
+// Count in-flight requests so a drain can wait for them
+app.use(drainer.trackRequests());
 
-const discovery = new UDPDiscovery(tenant, discoveryLogger, metrics);
-const kvCache = new KVCache(discovery, cacheLogger, metrics);
+// Per-client token buckets on the data API; probes and admin routes are
+// exempt. Callers are limited by address until they authenticate, so bad
+// credentials can't be tried at full speed.
+app.use(['/kv', '/locks'], rateLimiter.limitAddresses());
+
+// Resolve API keys and bearer tokens; /kv routes check key grants per route
+app.use(clientAuth.authenticate());
+app.use(['/kv', '/locks'], rateLimiter.limitPrincipals());
+
+// Lock state lives under reserved keys that only /locks may touch
+app.param('key', (req, res, next, key) => {
+  if (isLockKey(key)) {
+    return res.status(400).json({ error: `Keys starting with ${LOCK_KEY_PREFIX} are reserved` });
+  }
+  next();
+});
+
+// Admin and diagnostic routes (/admin/*, /diag, /metrics, /peers) are served
+// on the admin listener, which the ingress doesn't route to. They are only
+// mounted on the public port when ADMIN_EXPOSE_PUBLICLY is set. Either way
+// they need an admin role when client auth is on; the guard is limited to
+// those paths so probes and /kv on the public port are unaffected.
+const ADMIN_PATHS = ['/admin', '/diag', '/metrics', '/peers'];
+const adminRouter = express.Router();
+adminRouter.use(ADMIN_PATHS, clientAuth.requireAdmin());
+if (config.admin.exposePublicly) {
+  app.use(adminRouter);
+}
 
 // Health check (liveness probe)
 app.get('/health', (req, res) => {
@@ -78,10 +164,29 @@ app.get('/health', (req, res) => {
 
 // Readiness check (readiness probe)
 app.get('/ready', (req, res) => {
+  // A draining pod stays alive but takes no new traffic
+  if (drainer.isDraining()) {
+    return res.status(503).json({
+      status: 'draining',
+      tenant,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // A starting pod waits until it has pulled the keys it owns
+  if (!warmUp.isReady()) {
+    return res.status(503).json({
+      status: 'warming up',
+      tenant,
+      warmup: warmUp.getStatus(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
   try {
     // Check if discovery is running
     const peers = kvCache.getPeers();
-    const isDiscoveryRunning = discovery.socket && !discovery.socket.destroyed;
+    const isDiscoveryRunning = discovery.isRunning();
 
     // Service is ready if discovery is running (peers can be 0 initially)
     if (isDiscoveryRunning) {
@@ -113,83 +218,687 @@ app.get('/ready', (req, res) => {
   }
 });
 
+const parseTtlValue = (raw) => {
+  if (raw === undefined || raw === null) return null;
+
+  const ttl = Number(raw);
+  if (!Number.isFinite(ttl) || ttl <= 0) {
+    throw new Error('ttl must be a positive number of seconds');
+  }
+  return ttl;
+};
+
+// TTL in seconds from the request body or the X-KV-TTL header
+const parseTtl = (req) => {
+  return parseTtlValue(req.body && req.body.ttl !== undefined ? req.body.ttl : req.get('X-KV-TTL'));
+};
+
+// Keys of a batch request: a non-empty list of distinct strings, at most
+// LIMIT_MAX_BATCH_KEYS of them
+const parseBatchKeys = (keys) => {
+  if (!Array.isArray(keys) || keys.length === 0) {
+    throw new Error('keys must be a non-empty array');
+  }
+  if (keys.length > config.limits.maxBatchKeys) {
+    const error = new PayloadTooLargeError(`Batches are limited to ${config.limits.maxBatchKeys} keys`);
+    error.reason = 'batch_too_large';
+    throw error;
+  }
+  if (keys.some(key => typeof key !== 'string' || key === '')) {
+    throw new Error('keys must be non-empty strings');
+  }
+  if (keys.some(isLockKey)) {
+    throw new Error(`Keys starting with ${LOCK_KEY_PREFIX} are reserved`);
+  }
+  if (new Set(keys).size !== keys.length) {
+    throw new Error('keys must not repeat');
+  }
+  return keys;
+};
+
+// Items of a multi-set: [{ key, value, ttl }]
+const parseBatchItems = (items) => {
+  if (!Array.isArray(items) || items.some(item => item === null || typeof item !== 'object')) {
+    throw new Error('items must be a non-empty array of { key, value, ttl } objects');
+  }
+  parseBatchKeys(items.map(item => item.key));
+  return items.map(({ key, value, ttl }) => ({ key, value, ttl: parseTtlValue(ttl) }));
+};
+
+// Opaque listing cursor: where the previous page ended plus the filters it
+// was issued for, so a scan can't be resumed with different ones
+const encodeCursor = (scan) => Buffer.from(JSON.stringify(scan)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  let scan;
+  try {
+    scan = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    scan = null;
+  }
+  if (!scan || typeof scan.after !== 'string' || typeof scan.prefix !== 'string') {
+    throw new Error('Invalid cursor');
+  }
+  return { after: scan.after, prefix: scan.prefix, glob: typeof scan.glob === 'string' ? scan.glob : null };
+};
+
+// Listing options from the query: prefix, glob, limit, cursor and values
+const parseListing = (req) => {
+  const { prefix, glob, limit, cursor, values } = req.query;
+  for (const [name, value] of Object.entries({ prefix, glob, limit, cursor, values })) {
+    if (value !== undefined && typeof value !== 'string') {
+      throw new Error(`${name} must be given once`);
+    }
+  }
+
+  let scan = { after: '', prefix: prefix || '', glob: glob || null };
+  if (cursor) {
+    scan = decodeCursor(cursor);
+    if ((prefix !== undefined && prefix !== scan.prefix) || (glob !== undefined && glob !== scan.glob)) {
+      throw new Error('cursor was issued for a different prefix or glob');
+    }
+  }
+
+  let pageLimit = null;
+  if (limit !== undefined) {
+    pageLimit = Number(limit);
+    if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > MAX_LIST_LIMIT) {
+      throw new Error(`limit must be an integer between 1 and ${MAX_LIST_LIMIT}`);
+    }
+  }
+
+  return { scan, limit: pageLimit, values: values === 'true' || values === '1' };
+};
+
+// Per-key result of a batch operation for a key that wasn't served
+const batchError = (key, error) => ({ key, status: error.statusCode || 500, error: error.message });
+
+// Batch responses always answer 200 once the body is valid; each result
+// carries the status the single-key request would have had. `failed`
+// counts the keys that didn't succeed (a multi-get miss isn't a failure).
+const sendBatch = (res, results) => {
+  const failed = results.filter(result => result.status >= 400 && result.status !== 404).length;
+  res.json({ results, failed });
+};
+
+// Refuse a batch up front (malformed or too many keys)
+const rejectBatch = (req, res, error) => {
+  if (error.reason) {
+    metrics.recordRequestRejected(error.reason);
+  }
+  req.log.warn({ reason: error.message }, 'Batch request rejected');
+  res.status(error.statusCode || 400).json({ error: error.message });
+};
+
+// Per-request consistency level from the `consistency` query parameter or the
+// X-KV-Consistency header; undefined falls back to the tenant default
+const parseConsistency = (req) => {
+  const raw = req.query.consistency || req.get('X-KV-Consistency');
+  if (!raw) return undefined;
+
+  const level = String(raw).toLowerCase();
+  if (!CONSISTENCY_LEVELS.includes(level)) {
+    throw new Error(`Invalid consistency level: ${raw}. Valid levels: ${CONSISTENCY_LEVELS.join(', ')}`);
+  }
+  return level;
+};
+
+// Response body for a stored entry: value, version and, for expiring keys,
+// the remaining TTL
+const formatEntry = (key, entry) => {
+  const body = { key, value: entry.value, version: formatVersion(entry.version) };
+  if (entry.expiresAt !== null) {
+    body.ttl = Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+    body.expiresAt = new Date(entry.expiresAt).toISOString();
+  }
+  return body;
+};
+
+// Entity tags from an If-Match / If-None-Match header: '*' or a comma
+// separated list of (optionally weak) quoted version strings
+const parseETags = (header) => {
+  if (!header) return null;
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .filter(Boolean);
+};
+
+// Copy of the request headers with credentials masked
+const redactHeaders = (headers) => {
+  const redacted = { ...headers };
+  for (const header of REDACTED_HEADERS) {
+    if (header in redacted) {
+      redacted[header] = '[REDACTED]';
+    }
+  }
+  return redacted;
+};
+
+const formatETag = (entry) => `"${formatVersion(entry.version)}"`;
+
+// 409/412 from a failed precondition are expected outcomes, not errors
+const isConflict = (error) => error.statusCode === 409 || error.statusCode === 412;
+
+// 413/429 from the size limits or the key quota
+const isLimitRejection = (error) => Boolean(error.reason) && (error.statusCode === 413 || error.statusCode === 429);
+
 // KV Cache endpoints
-app.get('/kv/:key', async (req, res) => {
+app.get('/kv/:key', clientAuth.authorize('read'), async (req, res) => {
   kvCache.trackRequest();
   const key = req.params.key;
+
+  let consistency;
+  try {
+    consistency = parseConsistency(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
   
   try {
-    req.log.debug({ key }, 'Getting key from cache');
-    const value = await kvCache.get(key);
-    if (value === null) {
+    req.log.debug({ key, consistency }, 'Getting key from cache');
+    const entry = await kvCache.get(key, { consistency });
+    if (entry === null) {
       req.log.info({ key }, 'Key not found');
       metrics.recordCacheOperation('get', 'miss');
       return res.status(404).json({ error: 'Key not found' });
     }
     req.log.info({ key }, 'Key retrieved successfully');
     metrics.recordCacheOperation('get', 'hit');
-    res.json({ key, value });
+    res.set('ETag', formatETag(entry));
+
+    const ifNoneMatch = parseETags(req.get('If-None-Match'));
+    if (ifNoneMatch && (ifNoneMatch.includes('*') || ifNoneMatch.includes(formatVersion(entry.version)))) {
+      return res.status(304).end();
+    }
+    res.json(formatEntry(key, entry));
   } catch (error) {
     req.log.error({ err: error, key }, 'Error getting key from cache');
     metrics.recordCacheOperation('get', 'error');
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-app.put('/kv/:key', async (req, res) => {
+app.put('/kv/:key', clientAuth.authorize('write'), async (req, res) => {
   kvCache.trackRequest();
   const key = req.params.key;
   
+  let ttl, consistency;
+  try {
+    ttl = parseTtl(req);
+    consistency = parseConsistency(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
   try {
     const { value } = req.body;
-    req.log.debug({ key }, 'Setting key in cache');
-    await kvCache.set(key, value);
+    const creates = await quotas.checkWrite(key, value);
+
+    const ifMatch = parseETags(req.get('If-Match'));
+    const ifNoneMatch = parseETags(req.get('If-None-Match'));
+    req.log.debug({ key, ttl, consistency, ifMatch, ifNoneMatch }, 'Setting key in cache');
+
+    // Conditional writes are decided by the key's primary owner
+    const entry = ifMatch || ifNoneMatch
+      ? await kvCache.executeAtPrimary('set', key, { value, ttl, ifMatch, ifNoneMatch, consistency })
+      : await kvCache.set(key, value, { ttl, consistency });
+    if (creates) {
+      quotas.recordCreated();
+    }
+
     req.log.info({ key }, 'Key stored successfully');
     metrics.recordCacheOperation('set', 'success');
-    res.json({ key, value, status: 'stored' });
+    res.set('ETag', formatETag(entry));
+    res.json({ ...formatEntry(key, entry), status: 'stored' });
   } catch (error) {
-    req.log.error({ err: error, key }, 'Error setting key in cache');
-    metrics.recordCacheOperation('set', 'error');
-    res.status(500).json({ error: error.message });
+    if (isLimitRejection(error)) {
+      req.log.warn({ key, reason: error.reason }, 'Write refused by limits');
+      metrics.recordRequestRejected(error.reason);
+    } else if (isConflict(error)) {
+      req.log.info({ key, reason: error.message }, 'Conditional write rejected');
+      metrics.recordCacheOperation('set', 'conflict');
+    } else {
+      req.log.error({ err: error, key }, 'Error setting key in cache');
+      metrics.recordCacheOperation('set', 'error');
+    }
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-app.delete('/kv/:key', async (req, res) => {
+// Atomic counters: incr adds `by` (default 1), decr subtracts it. A missing
+// key starts from 0 and gets the optional ttl; the existing expiry is kept
+// otherwise. Run at the key's primary owner, so increments never race.
+app.post('/kv/:key/:op(incr|decr)', clientAuth.authorize('write'), async (req, res) => {
+  kvCache.trackRequest();
+  const { key, op } = req.params;
+
+  let ttl, consistency;
+  const by = req.body.by === undefined ? 1 : req.body.by;
+  try {
+    ttl = parseTtl(req);
+    consistency = parseConsistency(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!Number.isSafeInteger(by)) {
+    return res.status(400).json({ error: 'by must be an integer' });
+  }
+
+  try {
+    // The counter itself is tiny; this checks the key size and the key quota
+    const creates = await quotas.checkWrite(key, 0);
+
+    req.log.debug({ key, op, by, ttl, consistency }, 'Incrementing key');
+    const entry = await kvCache.executeAtPrimary('incr', key, {
+      by: op === 'decr' ? -by : by,
+      ttl,
+      consistency
+    });
+    if (creates) {
+      quotas.recordCreated();
+    }
+
+    metrics.recordCacheOperation('incr', 'success');
+    res.set('ETag', formatETag(entry));
+    res.json({ ...formatEntry(key, entry), status: 'incremented' });
+  } catch (error) {
+    if (isLimitRejection(error)) {
+      req.log.warn({ key, reason: error.reason }, 'Increment refused by limits');
+      metrics.recordRequestRejected(error.reason);
+    } else if (isConflict(error)) {
+      req.log.info({ key, reason: error.message }, 'Increment rejected');
+      metrics.recordCacheOperation('incr', 'conflict');
+    } else {
+      req.log.error({ err: error, key }, 'Error incrementing key');
+      metrics.recordCacheOperation('incr', 'error');
+    }
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Extend (or shorten) the TTL of an existing key
+app.patch('/kv/:key', clientAuth.authorize('write'), async (req, res) => {
   kvCache.trackRequest();
   const key = req.params.key;
+
+  let ttl, consistency;
+  try {
+    ttl = parseTtl(req);
+    consistency = parseConsistency(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (ttl === null) {
+    return res.status(400).json({ error: 'Missing required field: ttl' });
+  }
+
+  try {
+    req.log.debug({ key, ttl }, 'Touching key in cache');
+    const entry = await kvCache.touch(key, ttl, { consistency });
+    if (entry === null) {
+      req.log.info({ key }, 'Key not found');
+      metrics.recordCacheOperation('touch', 'miss');
+      return res.status(404).json({ error: 'Key not found' });
+    }
+    req.log.info({ key, ttl }, 'Key TTL updated successfully');
+    metrics.recordCacheOperation('touch', 'success');
+    res.json({ ...formatEntry(key, entry), status: 'touched' });
+  } catch (error) {
+    req.log.error({ err: error, key }, 'Error touching key in cache');
+    metrics.recordCacheOperation('touch', 'error');
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/kv/:key', clientAuth.authorize('delete'), async (req, res) => {
+  kvCache.trackRequest();
+  const key = req.params.key;
+
+  let consistency;
+  try {
+    consistency = parseConsistency(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
   
   try {
-    req.log.debug({ key }, 'Deleting key from cache');
-    await kvCache.delete(key);
+    const ifMatch = parseETags(req.get('If-Match'));
+    req.log.debug({ key, consistency, ifMatch }, 'Deleting key from cache');
+
+    if (ifMatch) {
+      await kvCache.executeAtPrimary('delete', key, { ifMatch, consistency });
+    } else {
+      await kvCache.delete(key, { consistency });
+    }
+
     req.log.info({ key }, 'Key deleted successfully');
     metrics.recordCacheOperation('delete', 'success');
     res.json({ key, status: 'deleted' });
   } catch (error) {
-    req.log.error({ err: error, key }, 'Error deleting key from cache');
+    if (isConflict(error)) {
+      req.log.info({ key, reason: error.message }, 'Conditional delete rejected');
+      metrics.recordCacheOperation('delete', 'conflict');
+    } else {
+      req.log.error({ err: error, key }, 'Error deleting key from cache');
+      metrics.recordCacheOperation('delete', 'error');
+    }
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Multi-get: { "keys": [...] } -> one result per key, in request order.
+// Keys are fetched with one request per owning peer.
+app.post('/kv/_mget', clientAuth.authorize('read'), async (req, res) => {
+  kvCache.trackRequest();
+
+  let keys, consistency;
+  try {
+    keys = parseBatchKeys(req.body.keys);
+    consistency = parseConsistency(req);
+  } catch (error) {
+    return rejectBatch(req, res, error);
+  }
+
+  try {
+    const allowed = keys.filter(key => clientAuth.can(req.principal, 'read', key));
+    req.log.debug({ keys: keys.length, allowed: allowed.length, consistency }, 'Getting keys from cache');
+    const found = await kvCache.getMany(allowed, { consistency });
+
+    const results = keys.map(key => {
+      if (!found.has(key)) {
+        metrics.recordAuthFailure('forbidden');
+        return batchError(key, clientAuth.denial(req));
+      }
+
+      const { entry, error } = found.get(key);
+      if (error) {
+        metrics.recordCacheOperation('get', 'error');
+        return batchError(key, error);
+      }
+      if (entry === null) {
+        metrics.recordCacheOperation('get', 'miss');
+        return { key, status: 404, error: 'Key not found' };
+      }
+      metrics.recordCacheOperation('get', 'hit');
+      return { ...formatEntry(key, entry), status: 200 };
+    });
+
+    req.log.info({ keys: keys.length }, 'Keys retrieved');
+    sendBatch(res, results);
+  } catch (error) {
+    req.log.error({ err: error }, 'Error getting keys from cache');
+    metrics.recordCacheOperation('get', 'error');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Multi-set: { "items": [{ "key", "value", "ttl" }] }. Each key is
+// authorized, checked against the limits and replicated on its own; keys are
+// sent with one request per replica.
+app.post('/kv/_mset', clientAuth.authorize('write'), async (req, res) => {
+  kvCache.trackRequest();
+
+  let items, consistency;
+  try {
+    items = parseBatchItems(req.body.items);
+    consistency = parseConsistency(req);
+  } catch (error) {
+    return rejectBatch(req, res, error);
+  }
+
+  try {
+    const refused = new Map();
+    const creating = new Set();
+    await Promise.all(items.map(async ({ key, value }) => {
+      if (!clientAuth.can(req.principal, 'write', key)) {
+        metrics.recordAuthFailure('forbidden');
+        return refused.set(key, clientAuth.denial(req));
+      }
+      try {
+        if (await quotas.checkWrite(key, value)) {
+          creating.add(key);
+        }
+      } catch (error) {
+        if (isLimitRejection(error)) {
+          metrics.recordRequestRejected(error.reason);
+        }
+        refused.set(key, error);
+      }
+    }));
+
+    req.log.debug({ keys: items.length, refused: refused.size, consistency }, 'Setting keys in cache');
+    const written = await kvCache.setMany(items.filter(({ key }) => !refused.has(key)), { consistency });
+
+    const results = items.map(({ key }) => {
+      if (refused.has(key)) {
+        return batchError(key, refused.get(key));
+      }
+
+      const { entry, error } = written.get(key);
+      if (error) {
+        metrics.recordCacheOperation('set', 'error');
+        return batchError(key, error);
+      }
+      if (creating.has(key)) {
+        quotas.recordCreated();
+      }
+      metrics.recordCacheOperation('set', 'success');
+      return { ...formatEntry(key, entry), status: 200 };
+    });
+
+    req.log.info({ keys: items.length }, 'Keys stored');
+    sendBatch(res, results);
+  } catch (error) {
+    req.log.error({ err: error }, 'Error setting keys in cache');
+    metrics.recordCacheOperation('set', 'error');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Multi-delete: { "keys": [...] }
+app.post('/kv/_mdelete', clientAuth.authorize('delete'), async (req, res) => {
+  kvCache.trackRequest();
+
+  let keys, consistency;
+  try {
+    keys = parseBatchKeys(req.body.keys);
+    consistency = parseConsistency(req);
+  } catch (error) {
+    return rejectBatch(req, res, error);
+  }
+
+  try {
+    const allowed = keys.filter(key => clientAuth.can(req.principal, 'delete', key));
+    req.log.debug({ keys: keys.length, allowed: allowed.length, consistency }, 'Deleting keys from cache');
+    const deleted = await kvCache.deleteMany(allowed, { consistency });
+
+    const results = keys.map(key => {
+      if (!deleted.has(key)) {
+        metrics.recordAuthFailure('forbidden');
+        return batchError(key, clientAuth.denial(req));
+      }
+
+      const { error } = deleted.get(key);
+      if (error) {
+        metrics.recordCacheOperation('delete', 'error');
+        return batchError(key, error);
+      }
+      metrics.recordCacheOperation('delete', 'success');
+      return { key, status: 200 };
+    });
+
+    req.log.info({ keys: keys.length }, 'Keys deleted');
+    sendBatch(res, results);
+  } catch (error) {
+    req.log.error({ err: error }, 'Error deleting keys from cache');
     metrics.recordCacheOperation('delete', 'error');
     res.status(500).json({ error: error.message });
   }
 });
 
-// List all keys
-app.get('/kv', async (req, res) => {
+// List keys the caller may list, in key order, optionally filtered by
+// `prefix` and `glob` and with `values`. With `limit` one page is returned
+// along with a `cursor` for the next (null at the end); without it the whole
+// keyspace is listed. Either way the response is streamed page by page.
+app.get('/kv', clientAuth.authorize('list'), async (req, res) => {
   kvCache.trackRequest();
-  
+
+  let listing;
+  try {
+    listing = parseListing(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  // Wait for the client to catch up, or stop writing once it went away
+  const write = async (chunk) => {
+    if (res.destroyed) return;
+    if (!res.write(chunk)) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  };
+
+  let after = listing.scan.after;
+  let count = 0;
   try {
-    req.log.debug('Listing all keys');
-    const keys = await kvCache.keys();
-    req.log.info({ count: keys.length }, 'Keys listed successfully');
+    req.log.debug({ ...listing.scan, limit: listing.limit }, 'Listing keys');
+
+    do {
+      const page = await kvCache.scan({
+        ...listing.scan,
+        after,
+        limit: listing.limit || LIST_PAGE_SIZE,
+        values: listing.values
+      });
+
+      // Nothing is sent before the first page, so a failing scan still gets a 500
+      if (!res.headersSent) {
+        res.status(200).type('json');
+        await write('{"keys":[');
+      }
+      for (const { key, entry } of page.entries) {
+        if (!clientAuth.can(req.principal, 'list', key)) continue;
+        await write((count++ > 0 ? ',' : '') + JSON.stringify(listing.values ? formatEntry(key, entry) : key));
+      }
+      after = page.after;
+    } while (after !== null && listing.limit === null && !res.destroyed);
+
+    const cursor = after === null ? null : encodeCursor({ ...listing.scan, after });
+    res.end(`],"count":${count},"cursor":${JSON.stringify(cursor)}}`);
+    req.log.info({ count, complete: cursor === null }, 'Keys listed successfully');
     metrics.recordCacheOperation('list', 'success');
-    res.json({ keys });
   } catch (error) {
     req.log.error({ err: error }, 'Error listing keys');
     metrics.recordCacheOperation('list', 'error');
-    res.status(500).json({ error: error.message });
+    if (!res.headersSent) {
+      return res.status(500).json({ error: error.message });
+    }
+    // The status is already out; a truncated body tells the client
+    res.destroy(error);
+  }
+});
+
+// Lock owner and fencing token from the request body
+const parseLease = (req, { requireToken }) => {
+  const { owner, token } = req.body;
+  if (owner !== undefined && (typeof owner !== 'string' || owner === '')) {
+    throw new Error('owner must be a non-empty string');
+  }
+  if (requireToken && !owner) {
+    throw new Error('Missing required field: owner');
+  }
+  if (requireToken && !Number.isSafeInteger(token)) {
+    throw new Error('token must be the integer returned on acquire');
+  }
+  return { owner, token };
+};
+
+const lockError = (req, res, name, error) => {
+  if (error.statusCode === 409) {
+    req.log.info({ lock: name, reason: error.message }, 'Lock request rejected');
+  } else {
+    req.log.error({ err: error, lock: name }, 'Error handling lock request');
+  }
+  res.status(error.statusCode || 500).json({ error: error.message });
+};
+
+// Acquire a lease: { owner, ttl } where owner identifies the holder (a
+// random one is assigned if omitted) and ttl is the lease length in seconds.
+// 409 while someone else holds it.
+app.post('/locks/:name', clientAuth.authorize('lock'), async (req, res) => {
+  const { name } = req.params;
+
+  let lease, ttl;
+  try {
+    lease = parseLease(req, { requireToken: false });
+    ttl = parseTtl(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (ttl === null) {
+    return res.status(400).json({ error: 'Missing required field: ttl' });
+  }
+
+  try {
+    const owner = lease.owner || crypto.randomUUID();
+    req.log.debug({ lock: name, owner, ttl }, 'Acquiring lock');
+    res.json(await locks.acquire(name, { owner, ttl }));
+  } catch (error) {
+    lockError(req, res, name, error);
+  }
+});
+
+// Extend a lease: { owner, token, ttl }. 409 if it expired or was taken over.
+app.post('/locks/:name/renew', clientAuth.authorize('lock'), async (req, res) => {
+  const { name } = req.params;
+
+  let lease, ttl;
+  try {
+    lease = parseLease(req, { requireToken: true });
+    ttl = parseTtl(req);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (ttl === null) {
+    return res.status(400).json({ error: 'Missing required field: ttl' });
+  }
+
+  try {
+    res.json(await locks.renew(name, { ...lease, ttl }));
+  } catch (error) {
+    lockError(req, res, name, error);
+  }
+});
+
+// Release a lease: { owner, token }
+app.delete('/locks/:name', clientAuth.authorize('lock'), async (req, res) => {
+  const { name } = req.params;
+
+  let lease;
+  try {
+    lease = parseLease(req, { requireToken: true });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.json(await locks.release(name, lease));
+  } catch (error) {
+    lockError(req, res, name, error);
+  }
+});
+
+app.get('/locks/:name', clientAuth.authorize('lock'), async (req, res) => {
+  try {
+    res.json(await locks.get(req.params.name));
+  } catch (error) {
+    lockError(req, res, req.params.name, error);
   }
 });
 
 // Peers info
-app.get('/peers', (req, res) => {
+adminRouter.get('/peers', (req, res) => {
   res.json({
     peers: kvCache.getPeers(),
     count: kvCache.getPeers().length
@@ -197,7 +906,7 @@ app.get('/peers', (req, res) => {
 });
 
 // Diagnostic endpoint - detailed request information
-app.get('/diag', (req, res) => {
+adminRouter.get('/diag', (req, res) => {
   const diagnosticInfo = {
     timestamp: new Date().toISOString(),
     request: {
@@ -210,7 +919,7 @@ app.get('/diag', (req, res) => {
       hostname: req.hostname,
       ip: req.ip,
       ips: req.ips,
-      headers: req.headers,
+      headers: redactHeaders(req.headers),
       query: req.query,
       params: req.params,
       userAgent: req.get('User-Agent'),
@@ -237,16 +946,23 @@ app.get('/diag', (req, res) => {
       peers: kvCache.getPeers(),
       peerCount: kvCache.getPeers().length,
       cacheSize: kvCache.getCacheSize(),
+      cacheUsage: kvCache.getCacheUsage(),
+      pendingHints: kvCache.getHintCount(),
       requestRate: kvCache.getRequestRate(),
-      discoveryStatus: discovery.socket && !discovery.socket.destroyed ? 'running' : 'stopped'
-    }
+      discoveryStatus: discovery.isRunning() ? 'running' : 'stopped',
+      discoveryProvider: config.discovery.provider,
+      warmup: warmUp.getStatus(),
+      drain: drainer.getStatus(),
+      limits: quotas.getStatus()
+    },
+    config
   };
 
   res.json(diagnosticInfo);
 });
 
 // Log level management endpoints
-app.get('/admin/log-levels', (req, res) => {
+adminRouter.get('/admin/log-levels', (req, res) => {
   try {
     req.log.debug('Log levels requested');
     const levels = getLogLevels();
@@ -264,7 +980,21 @@ app.get('/admin/log-levels', (req, res) => {
   }
 });
 
-app.put('/admin/log-levels', (req, res) => {
+// Drain this pod without exiting: it leaves the cluster, hands off its keys
+// and fails readiness. Useful before node maintenance; SIGTERM does the same
+// and then exits.
+adminRouter.post('/admin/drain', (req, res) => {
+  req.log.info('Drain requested');
+  const alreadyDraining = drainer.isDraining();
+  drainer.drain('admin');
+
+  res.status(202).json({
+    status: alreadyDraining ? 'already draining' : 'draining',
+    tenant
+  });
+});
+
+adminRouter.put('/admin/log-levels', (req, res) => {
   try {
     const { level, module } = req.body;
     
@@ -291,13 +1021,15 @@ app.put('/admin/log-levels', (req, res) => {
 });
 
 // Metrics endpoint for Prometheus scraping
-app.get('/metrics', async (req, res) => {
+adminRouter.get('/metrics', async (req, res) => {
   try {
     // Update current metrics
     const peers = kvCache.getPeers();
     const cacheSize = kvCache.getCacheSize();
     
     metrics.updateCacheSize(cacheSize);
+    metrics.updateCacheUsage(kvCache.getCacheUsage());
+    metrics.updateHintQueueDepth(kvCache.getHintCount());
     metrics.updatePeersCount(peers.length);
     
     req.log.debug('Metrics requested');
@@ -309,19 +1041,76 @@ app.get('/metrics', async (req, res) => {
   }
 });
 
+// Bodies over the size limit are refused before reaching a route
+app.use((error, req, res, next) => {
+  if (error.type !== 'entity.too.large') return next(error);
+
+  req.log.warn({ length: error.length, limit: error.limit }, 'Request body too large');
+  metrics.recordRequestRejected('body_too_large');
+  res.status(413).json({ error: `Request body exceeds ${error.limit} bytes` });
+});
+
+// Admin listener for operators and Prometheus, not routed by the ingress
+const adminApp = express();
+adminApp.use(express.json());
+adminApp.use(requestLogging);
+adminApp.use(requestMetrics);
+adminApp.use(clientAuth.authenticate());
+adminApp.use(adminRouter);
+
+// Internal replication listener, reachable only pod-to-pod (not routed by the ingress)
+const internalApp = express();
+internalApp.use(drainer.trackRequests());
+// Handoff and multi-set batches carry up to HANDOFF_BATCH_SIZE or
+// LIMIT_MAX_BATCH_KEYS entries of up to the key and value limits each
+const internalBodyLimit = Math.max(16 * 1024 * 1024,
+  Math.max(KVCache.HANDOFF_BATCH_SIZE, config.limits.maxBatchKeys) *
+    (config.limits.maxKeyBytes + config.limits.maxValueBytes + BODY_ENVELOPE_BYTES));
+internalApp.use(express.json({ limit: internalBodyLimit, verify: peerAuth.captureRawBody }));
+// Only authenticated peers reach the replication endpoints
+internalApp.use(peerAuth.middleware());
+internalApp.use(createInternalRouter(kvCache, antiEntropy, replicationLogger, metrics));
+
 // Start server
 app.listen(port, () => {
   logger.info({ port, tenant }, 'KV Responder started successfully');
 
-  // Start pod discovery
-  discovery.start();
+  // Start pod discovery, then warm up before reporting ready
+  discovery.start().then(() => warmUp.start());
+});
+
+adminApp.listen(adminPort, () => {
+  logger.info({ adminPort, exposedPublicly: config.admin.exposePublicly, tenant }, 'Admin listener started');
 });
 
-// Graceful shutdown
-const gracefulShutdown = (signal) => {
+peerAuth.createServer(internalApp).listen(internalPort, () => {
+  logger.info({ internalPort, tenant, peerAuth: peerAuth.mode }, 'Internal replication listener started');
+  peerAuth.start();
+
+  // Periodically reconcile replicas that missed writes
+  antiEntropy.start();
+  quotas.start();
+  rateLimiter.start();
+  locks.start();
+});
+
+// Graceful shutdown: drain first, bounded by DRAIN_TIMEOUT_MS
+let shuttingDown = false;
+const gracefulShutdown = async (signal) => {
+  if (shuttingDown) return;
+  shuttingDown = true;
   logger.info({ signal }, 'Received shutdown signal, shutting down gracefully');
+
+  await drainer.drain(signal);
   
+  warmUp.stop();
   discovery.stop();
+  antiEntropy.stop();
+  quotas.stop();
+  rateLimiter.stop();
+  locks.stop();
+  kvCache.stop();
+  peerAuth.stop();
   
   // Stop tracing
   if (tracing) {
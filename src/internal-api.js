@@ -0,0 +1,182 @@
+const express = require('express');
+const { ORIGIN_HEADER, HOPS_HEADER } = require('./peer-client');
+const { parseVersion } = require('./hlc');
+
+// Replicated operations are applied locally by the receiving pod and never
+// forwarded again, so anything beyond a single hop indicates a loop
+const MAX_HOPS = 1;
+
+// Internal replication API served on the dedicated internal listener.
+// Every handler reads or writes the local store only, so a replicated write
+// can't fan out a second round of replication and a peer miss can't trigger
+// another peer lookup. Client metrics and request-rate tracking are skipped.
+function createInternalRouter(kvCache, antiEntropy, logger, metrics) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const hops = parseInt(req.get(HOPS_HEADER) || '0');
+    req.replication = {
+      origin: req.get(ORIGIN_HEADER) || 'unknown',
+      hops
+    };
+
+    if (hops > MAX_HOPS) {
+      logger.warn({
+        origin: req.replication.origin,
+        hops,
+        path: req.path
+      }, 'Rejected replication request exceeding hop limit');
+      return res.status(508).json({ error: 'Replication hop limit exceeded' });
+    }
+
+    next();
+  });
+
+  // Tombstones are returned too (deleted: true) so the caller learns about the delete
+  router.get('/_internal/kv/:key', (req, res) => {
+    const key = req.params.key;
+    const entry = kvCache.getLocal(key);
+    metrics.recordReplicationOperation('get', 'received');
+
+    if (entry === null) {
+      return res.status(404).json({ error: 'Key not found' });
+    }
+    res.json({ key, ...kvCache.serializeEntry(entry) });
+  });
+
+  router.put('/_internal/kv/:key', (req, res) => {
+    const key = req.params.key;
+    const entry = kvCache.deserializeEntry(req.body);
+
+    logger.debug({ key, origin: req.replication.origin }, 'Applying replicated write');
+    const applied = kvCache.setLocal(key, entry);
+    metrics.recordReplicationOperation('set', 'received');
+
+    // A stale write is still acknowledged: the replica already holds a newer version
+    res.json({ key, status: applied ? 'stored' : 'stale' });
+  });
+
+  router.patch('/_internal/kv/:key', (req, res) => {
+    const key = req.params.key;
+    const { expiresAt = null } = req.body;
+    const version = parseVersion(req.body.version);
+
+    logger.debug({ key, origin: req.replication.origin }, 'Applying replicated touch');
+    metrics.recordReplicationOperation('touch', 'received');
+
+    if (!kvCache.touchLocal(key, expiresAt, version)) {
+      return res.status(404).json({ error: 'Key not found' });
+    }
+    res.json({ key, status: 'touched' });
+  });
+
+  // The body carries the tombstone's version and garbage collection time
+  router.delete('/_internal/kv/:key', (req, res) => {
+    const key = req.params.key;
+    const tombstone = kvCache.deserializeEntry({ ...req.body, deleted: true });
+
+    logger.debug({ key, origin: req.replication.origin }, 'Applying replicated delete');
+    const applied = kvCache.deleteLocal(key, tombstone);
+    metrics.recordReplicationOperation('delete', 'received');
+    res.json({ key, status: applied ? 'deleted' : 'stale' });
+  });
+
+  // Conditional and read-modify-write operations forwarded to this pod as the
+  // key's primary owner
+  router.post('/_internal/primary/:op/:key', async (req, res) => {
+    const { op, key } = req.params;
+
+    try {
+      logger.debug({ key, op, origin: req.replication.origin }, 'Running operation as primary owner');
+      const entry = await kvCache.executeAtPrimary(op, key, req.body, { forwarded: true });
+      metrics.recordReplicationOperation(op, 'received');
+      res.json({ key, entry: entry ? kvCache.serializeEntry(entry) : null });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  });
+
+  // Anti-entropy: per-bucket digests of the keys shared with the requesting
+  // pod, then the versions in the buckets that differed. The requester's
+  // bucket count is used so both sides split the keyspace identically.
+  router.post('/_internal/anti-entropy/digest', (req, res) => {
+    const { node, buckets } = req.body;
+    metrics.recordReplicationOperation('digest', 'received');
+    res.json({ digests: antiEntropy.digest(node, buckets) });
+  });
+
+  router.post('/_internal/anti-entropy/versions', (req, res) => {
+    const { node, buckets, only = [] } = req.body;
+    metrics.recordReplicationOperation('versions', 'received');
+    res.json({ versions: antiEntropy.versions(node, buckets, only) });
+  });
+
+  // Batched read for multi-get; keys this pod doesn't hold are left out
+  router.post('/_internal/kv/_mget', (req, res) => {
+    const keys = req.body.keys || [];
+    const entries = {};
+
+    for (const key of keys) {
+      const entry = kvCache.getLocal(key);
+      if (entry !== null) {
+        entries[key] = kvCache.serializeEntry(entry);
+      }
+    }
+    metrics.recordReplicationOperation('mget', 'received');
+    res.json({ entries });
+  });
+
+  // This pod's part of a cluster-wide key scan
+  router.post('/_internal/kv/_scan', (req, res) => {
+    const { entries, truncated } = kvCache.scanLocal(req.body);
+    metrics.recordReplicationOperation('scan', 'received');
+    res.json({
+      entries: entries.map(({ key, entry }) => ({ key, ...kvCache.serializeEntry(entry) })),
+      truncated
+    });
+  });
+
+  // Batch of entries streamed by a draining pod to the keys' new owners, or
+  // replicated by a multi-set or multi-delete
+  router.put('/_internal/kv', (req, res) => {
+    const entries = req.body.entries || [];
+    let stored = 0;
+
+    logger.debug({ keys: entries.length, origin: req.replication.origin }, 'Applying handed off keys');
+    for (const item of entries) {
+      if (kvCache.setLocal(item.key, kvCache.deserializeEntry(item))) {
+        stored++;
+      }
+    }
+    metrics.recordReplicationOperation('handoff', 'received');
+    res.json({ received: entries.length, stored });
+  });
+
+  // Identity of this pod, used by the DNS and static discovery providers to
+  // learn who is behind an address and whether it is still up
+  router.get('/_internal/node', (req, res) => {
+    const discovery = kvCache.discovery;
+    res.json({ ...discovery.getLocalNode(), tenant: discovery.tenant, leaving: discovery.leaving });
+  });
+
+  router.post('/_internal/node/leave', (req, res) => {
+    const { name, incarnation } = req.body;
+    metrics.recordDiscoveryMessage('leave', 'received');
+    kvCache.discovery.peerLeft(name, incarnation);
+    res.json({ name, status: 'removed' });
+  });
+
+  // Key accounting for the cluster-wide key quota
+  router.get('/_internal/usage', (req, res) => {
+    res.json({ primaryKeys: kvCache.countPrimaryKeys() });
+  });
+
+  router.get('/_internal/kv', (req, res) => {
+    metrics.recordReplicationOperation('list', 'received');
+    res.json({ versions: kvCache.localVersions() });
+  });
+
+  return router;
+}
+
+module.exports = { createInternalRouter };
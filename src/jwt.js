@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Signature algorithms accepted for bearer tokens, as digest plus the
+// signature encoding crypto.verify expects. `none` and HMAC algorithms are
+// deliberately absent: tokens must be signed by a key in the JWKS.
+const ALGORITHMS = {
+  RS256: { digest: 'sha256' },
+  RS384: { digest: 'sha384' },
+  RS512: { digest: 'sha512' },
+  PS256: { digest: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { digest: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { digest: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { digest: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { digest: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+// Allowance for clock differences when checking exp and nbf
+const CLOCK_TOLERANCE_S = 30;
+
+class JwtError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JwtError';
+  }
+}
+
+// Public keys of a JWKS file by kid
+const loadJwks = (file) => {
+  const { keys = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return keys
+    .filter(jwk => !jwk.use || jwk.use === 'sig')
+    .map(jwk => ({
+      kid: jwk.kid,
+      alg: jwk.alg,
+      key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+    }));
+};
+
+const decodeSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new JwtError('Malformed token');
+  }
+};
+
+// Verify a compact JWS against the JWKS keys and return its claims. Throws
+// JwtError on any problem.
+const verifyJwt = (token, keys, { issuer, audience, now = Date.now() } = {}) => {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new JwtError('Malformed token');
+  }
+
+  const header = decodeSegment(parts[0]);
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new JwtError(`Unsupported algorithm ${header.alg}`);
+  }
+
+  // Without a kid the token may be signed by any key meant for its algorithm
+  const candidates = keys.filter(jwk =>
+    (header.kid === undefined || jwk.kid === header.kid) && (!jwk.alg || jwk.alg === header.alg));
+  const signature = Buffer.from(parts[2], 'base64url');
+  const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+
+  const valid = candidates.some(jwk => {
+    try {
+      return crypto.verify(algorithm.digest, signed, {
+        key: jwk.key,
+        padding: algorithm.padding,
+        dsaEncoding: algorithm.dsaEncoding
+      }, signature);
+    } catch (error) {
+      // Key type doesn't fit the algorithm
+      return false;
+    }
+  });
+  if (!valid) {
+    throw new JwtError('Invalid signature');
+  }
+
+  const claims = decodeSegment(parts[1]);
+  const seconds = Math.floor(now / 1000);
+  // A token without an expiry would be valid forever
+  if (typeof claims.exp !== 'number') {
+    throw new JwtError('Token has no expiry');
+  }
+  if (seconds > claims.exp + CLOCK_TOLERANCE_S) {
+    throw new JwtError('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && seconds < claims.nbf - CLOCK_TOLERANCE_S) {
+    throw new JwtError('Token not yet valid');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new JwtError('Unexpected issuer');
+  }
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      throw new JwtError('Unexpected audience');
+    }
+  }
+  return claims;
+};
+
+module.exports = { verifyJwt, loadJwks, JwtError, ALGORITHMS };
@@ -1,31 +1,89 @@
 const dgram = require('dgram');
 const os = require('os');
+const FailureDetector = require('./failure-detector');
+const MessageSigner = require('./message-signer');
+
+// Discovery protocol. Version 1 pods only send `discovery` heartbeats without
+// a version or incarnation; they are still understood as heartbeats, and
+// while any is present we also send legacy heartbeats so they keep seeing us
+// during a rolling upgrade. Version 2 added join/leave and incarnations,
+// version 3 SWIM probing and gossip. Peers older than that aren't probed and
+// are dropped when their heartbeats stop for the stale threshold instead.
+// Messages from newer, unknown versions are dropped.
+const PROTOCOL_VERSION = 3;
+const MIN_PROTOCOL_VERSION = 1;
+const SWIM_PROTOCOL_VERSION = 3;
+const MESSAGE_TYPES = ['join', 'heartbeat', 'leave', 'discovery', 'ping', 'ping-req', 'ack'];
+const PROBE_MESSAGE_TYPES = ['ping', 'ping-req', 'ack'];
+
+// Member states in order of precedence for the same incarnation and generation
+const MEMBER_STATES = ['alive', 'suspect', 'dead'];
+
+// Membership updates piggybacked on a single message
+const MAX_GOSSIP_PER_MESSAGE = 8;
+
+// The fields of a member that travel in gossip
+const memberUpdate = (member) => ({
+    name: member.name,
+    ip: member.ip,
+    port: member.port,
+    internalPort: member.internalPort,
+    incarnation: member.incarnation,
+    generation: member.generation,
+    protocolVersion: member.protocolVersion,
+    state: member.state
+});
 
 class UDPDiscovery {
-    constructor(tenant, logger, metrics) {
+    constructor(tenant, logger, metrics, config) {
         this.tenant = tenant;
         this.logger = logger;
         this.metrics = metrics;
         this.podName = process.env.HOSTNAME || os.hostname();
         this.podIP = process.env.POD_IP || this.getLocalIP();
-        this.discoveryPort = parseInt(process.env.DISCOVERY_PORT || '9999');
-        this.servicePort = parseInt(process.env.PORT || '3000');
+        this.discoveryPort = config.discovery.port;
+        this.servicePort = config.port;
+        this.internalPort = config.internalPort;
+        this.heartbeatIntervalMs = config.discovery.heartbeatIntervalMs;
+        this.cleanupIntervalMs = config.discovery.cleanupIntervalMs;
+        this.staleThresholdMs = config.discovery.staleThresholdMs;
+
+        // Distinguishes this process from earlier runs of a pod with the same
+        // name, so peers drop what they knew about the previous one
+        this.incarnation = Date.now();
+        // Bumped to refute gossip that this pod is suspect or dead
+        this.generation = 0;
+        this.leaving = false;
+        this.running = false;
 
         // UDP socket for discovery
         this.socket = dgram.createSocket('udp4');
+        // Every known member by pod name, including suspect and recently dead
+        // ones; getPeers() only returns live members
         this.peers = new Map();
+        this.gossip = new Map();
+        this.suspicionTimeoutMs = config.discovery.swim.suspicionTimeoutMs;
+        this.suspicionTimers = new Map();
+        this.failureDetector = new FailureDetector(this, logger, config);
+        this.signer = MessageSigner.fromFile(config.discovery.secretFile, tenant, {
+            maxClockSkewMs: config.discovery.maxClockSkewMs
+        });
         this.discoveryCallbacks = [];
         this.discoveryInterval = null;
         this.heartbeatInterval = null;
         this.cleanupInterval = null;
 
         // Discovery message format
-        this.createDiscoveryMessage = () => ({
-            type: 'discovery',
+        this.createDiscoveryMessage = (type = 'heartbeat') => ({
+            type,
+            version: PROTOCOL_VERSION,
             tenant: this.tenant,
             podName: this.podName,
             podIP: this.podIP,
             servicePort: this.servicePort,
+            internalPort: this.internalPort,
+            incarnation: this.incarnation,
+            generation: this.generation,
             timestamp: Date.now()
         });
 
@@ -53,7 +111,8 @@ class UDPDiscovery {
         this.socket.on('message', (msg, rinfo) => {
             try {
                 const message = JSON.parse(msg.toString());
-                this.metrics.recordDiscoveryMessage('discovery', 'received');
+                const type = MESSAGE_TYPES.includes(message.type) ? message.type : 'unknown';
+                this.metrics.recordDiscoveryMessage(type, 'received');
                 this.handleDiscoveryMessage(message, rinfo);
             } catch (error) {
                 this.logger.debug({ 
@@ -94,42 +153,259 @@ class UDPDiscovery {
 
     handleDiscoveryMessage(message, rinfo) {
         // Only process messages for our tenant and ignore our own messages
-        if (message.type !== 'discovery' ||
-            message.tenant !== this.tenant ||
-            message.podName === this.podName) {
+        if (message.tenant !== this.tenant ||
+            message.podName === this.podName ||
+            !MESSAGE_TYPES.includes(message.type)) {
             return;
         }
 
-        const peerKey = message.podName;
-        const isNewPeer = !this.peers.has(peerKey);
+        // With a shared secret configured, only signed, fresh messages from
+        // pods of this tenant are trusted
+        const refused = this.signer.verify(message);
+        if (refused) {
+            this.logger.debug({ 
+                peerName: message.podName, 
+                reason: refused, 
+                remoteAddress: rinfo.address, 
+                tenant: this.tenant 
+            }, 'Dropping unauthenticated discovery message');
+            this.metrics.recordDiscoveryMessageDropped(refused);
+            return;
+        }
 
-        const peer = {
+        const version = message.version || 1;
+        if (version < MIN_PROTOCOL_VERSION || version > PROTOCOL_VERSION) {
+            this.logger.debug({ 
+                peerName: message.podName, 
+                version, 
+                supported: [MIN_PROTOCOL_VERSION, PROTOCOL_VERSION], 
+                tenant: this.tenant 
+            }, 'Ignoring discovery message with incompatible protocol version');
+            this.metrics.recordDiscoveryMessage(message.type, 'rejected');
+            return;
+        }
+
+        // Membership updates piggybacked by SWIM peers
+        if (Array.isArray(message.gossip)) {
+            message.gossip.forEach(update => this.applyMemberUpdate(update));
+        }
+
+        const sender = {
             name: message.podName,
             ip: message.podIP,
             port: message.servicePort,
-            lastSeen: new Date(),
+            internalPort: message.internalPort,
+            incarnation: message.incarnation || 0,
+            generation: message.generation || 0,
+            protocolVersion: version,
             discoveryIP: rinfo.address // IP from which we received the message
         };
 
-        if (isNewPeer) {
-            this.logger.info({ 
-                peerName: peer.name, 
-                peerIP: peer.ip, 
-                peerPort: peer.port, 
-                tenant: this.tenant 
-            }, 'Discovered new peer');
-            this.peers.set(peerKey, peer);
-            this.notifyPeerDiscovered(peer, 'added');
-        } else {
+        // A draining peer announces it is leaving; drop it right away instead
+        // of waiting for the failure detector. A leave from an older
+        // incarnation doesn't remove the pod that replaced it.
+        if (message.type === 'leave') {
+            this.applyMemberUpdate({ ...sender, state: 'dead' }, 'left');
+            return;
+        }
+
+        // Any other message shows the sender is up
+        const known = this.peers.get(sender.name);
+        if (known && known.state === 'dead' && known.incarnation === sender.incarnation &&
+            known.generation >= sender.generation && !this.leaving) {
+            // It hasn't heard that it was declared dead; tell it so it refutes
+            this.queueGossip(known);
+            this.replyTo(sender);
+            return;
+        }
+
+        this.applyMemberUpdate({ ...sender, state: 'alive' });
+        const peer = this.peers.get(sender.name);
+        if (peer && peer.incarnation === sender.incarnation) {
             // Update last seen time
-            this.peers.get(peerKey).lastSeen = new Date();
+            peer.lastSeen = new Date();
+        }
+
+        if (message.type === 'join') {
+            // Answer joining pods directly so they learn the cluster within
+            // their warm-up window instead of at our next heartbeat
+            this.replyTo(sender);
+        } else if (PROBE_MESSAGE_TYPES.includes(message.type)) {
+            this.failureDetector.handleMessage(message, sender);
+        }
+    }
+
+    // Apply a membership update received directly or through gossip, with
+    // SWIM precedence: a higher (incarnation, generation) wins, and for the
+    // same pair dead overrides suspect overrides alive. A higher incarnation
+    // is a restarted pod and replaces the old member entirely. Applied
+    // updates are gossiped on. Returns true if the update changed anything.
+    applyMemberUpdate(update, reason) {
+        if (!update || !update.name || !MEMBER_STATES.includes(update.state)) {
+            return false;
+        }
+        if (update.name === this.podName) {
+            this.refute(update);
+            return false;
+        }
+
+        const known = this.peers.get(update.name);
+        const incarnation = update.incarnation || 0;
+        const generation = update.generation || 0;
+
+        if (known) {
+            const order = incarnation - known.incarnation || generation - known.generation;
+            if (order < 0) {
+                return false;
+            }
+            if (order === 0 && MEMBER_STATES.indexOf(update.state) <= MEMBER_STATES.indexOf(known.state)) {
+                return false;
+            }
+        }
+
+        const member = {
+            name: update.name,
+            ip: update.ip,
+            port: update.port,
+            internalPort: update.internalPort,
+            incarnation,
+            generation,
+            protocolVersion: update.protocolVersion || (known ? known.protocolVersion : MIN_PROTOCOL_VERSION),
+            state: update.state,
+            lastSeen: update.state === 'alive' || !known ? new Date() : known.lastSeen,
+            stateChangedAt: known && known.state === update.state ? known.stateChangedAt : Date.now(),
+            discoveryIP: update.discoveryIP || (known ? known.discoveryIP : undefined)
+        };
+
+        const wasMember = known && known.state !== 'dead';
+        const isMember = member.state !== 'dead';
+        const logContext = { 
+            peerName: member.name, 
+            peerIP: member.ip, 
+            incarnation, 
+            generation, 
+            tenant: this.tenant 
+        };
+
+        this.peers.set(member.name, member);
+        this.updateSuspicionTimer(member);
+        this.queueGossip(member);
+
+        if (wasMember && isMember && incarnation > known.incarnation) {
+            // Same pod name, new process: forget the old one entirely so its
+            // state isn't carried over, then add the new one
+            this.logger.info({ ...logContext, previousIncarnation: known.incarnation }, 'Peer restarted with a new incarnation');
+            this.notifyPeerDiscovered(known, 'removed');
+            this.notifyPeerDiscovered(member, 'added');
+        } else if (!wasMember && isMember) {
+            this.logger.info({ 
+                ...logContext, 
+                peerPort: member.port, 
+                protocolVersion: member.protocolVersion 
+            }, known ? 'Peer is alive again' : 'Discovered new peer');
+            this.notifyPeerDiscovered(member, 'added');
+        } else if (wasMember && !isMember) {
+            this.logger.info(logContext, reason === 'left' ? 'Peer announced it is leaving' : 'Peer declared dead');
+            this.notifyPeerDiscovered(member, 'removed');
+        } else if (known && known.state !== member.state) {
+            this.logger.info({ ...logContext, state: member.state }, 'Peer state changed');
+        }
+
+        this.updatePeerStateMetrics();
+        return true;
+    }
+
+    // Gossip says this pod is suspect or dead: outbid it with a higher
+    // generation so peers keep it as a member
+    refute(update) {
+        if (update.state === 'alive' || this.leaving ||
+            (update.incarnation || 0) !== this.incarnation ||
+            (update.generation || 0) < this.generation) {
+            return;
+        }
+
+        this.generation = (update.generation || 0) + 1;
+        this.logger.info({ 
+            state: update.state, 
+            generation: this.generation, 
+            tenant: this.tenant 
+        }, 'Refuting gossip about this pod');
+        this.queueGossip({ ...this.getLocalNode(), generation: this.generation, state: 'alive' });
+    }
+
+    // Called by the failure detector when a member missed its probe
+    suspect(name) {
+        const peer = this.peers.get(name);
+        if (peer && peer.state === 'alive') {
+            this.applyMemberUpdate({ ...memberUpdate(peer), state: 'suspect' });
+        }
+    }
+
+    // A suspect member that isn't refuted within the suspicion timeout is
+    // declared dead. Every pod runs its own timer once it hears the suspicion.
+    updateSuspicionTimer(member) {
+        clearTimeout(this.suspicionTimers.get(member.name));
+        this.suspicionTimers.delete(member.name);
+
+        if (member.state !== 'suspect') {
+            return;
         }
+
+        const timer = setTimeout(() => {
+            this.suspicionTimers.delete(member.name);
+            if (this.peers.get(member.name) === member) {
+                this.applyMemberUpdate({ ...memberUpdate(member), state: 'dead' });
+            }
+        }, this.suspicionTimeoutMs);
+        timer.unref();
+        this.suspicionTimers.set(member.name, timer);
+    }
+
+    queueGossip(member) {
+        this.gossip.set(member.name, { update: memberUpdate(member), transmissions: 0 });
+    }
+
+    // Pick the least-sent updates to piggyback on an outgoing message. Each
+    // update is sent about 3 * log2(cluster size) times, enough to reach
+    // every member with high probability.
+    takeGossip() {
+        const limit = Math.ceil(3 * Math.log2(this.peers.size + 2));
+        const selected = [...this.gossip.values()]
+            .sort((a, b) => a.transmissions - b.transmissions)
+            .slice(0, MAX_GOSSIP_PER_MESSAGE);
+
+        for (const item of selected) {
+            if (++item.transmissions >= limit) {
+                this.gossip.delete(item.update.name);
+            }
+        }
+        return selected.map(item => item.update);
+    }
+
+    updatePeerStateMetrics() {
+        const counts = { alive: 0, suspect: 0, dead: 0 };
+        for (const peer of this.peers.values()) {
+            counts[peer.state]++;
+        }
+        this.metrics.updatePeerStates(counts);
     }
 
     onPeerDiscovered(callback) {
         this.discoveryCallbacks.push(callback);
     }
 
+    // Departure announced on the internal listener rather than over UDP
+    peerLeft(name, incarnation) {
+        const member = this.peers.get(name);
+        if (!member || member.incarnation !== incarnation) return;
+
+        this.applyMemberUpdate({ ...memberUpdate(member), state: 'dead' }, 'left');
+    }
+
+    isRunning() {
+        return this.running;
+    }
+
     async start() {
         this.logger.info({ 
             tenant: this.tenant, 
@@ -146,15 +422,19 @@ class UDPDiscovery {
                     else resolve();
                 });
             });
+            this.running = true;
 
-            // Start broadcasting our presence every 30 seconds
+            // Start broadcasting our presence
             this.startHeartbeat();
 
-            // Start cleanup of stale peers every 60 seconds
+            // Start cleanup of stale peers
             this.startCleanup();
 
-            // Send initial discovery broadcast
-            this.broadcastDiscovery();
+            // Start probing members
+            this.failureDetector.start();
+
+            // Announce ourselves; peers answer with a heartbeat
+            this.sendMessage(this.createDiscoveryMessage('join'));
 
         } catch (error) {
             this.logger.error({ 
@@ -165,44 +445,92 @@ class UDPDiscovery {
     }
 
     startHeartbeat() {
-        // Broadcast every 30 seconds
         this.heartbeatInterval = setInterval(() => {
             this.broadcastDiscovery();
-        }, 30000);
+        }, this.heartbeatIntervalMs);
     }
 
     startCleanup() {
-        // Clean up stale peers every 60 seconds
         this.cleanupInterval = setInterval(() => {
             this.cleanupStalePeers();
-        }, 60000);
+        }, this.cleanupIntervalMs);
     }
 
     broadcastDiscovery() {
-        const message = JSON.stringify(this.createDiscoveryMessage());
-        
+        const message = { ...this.createDiscoveryMessage(), gossip: this.takeGossip() };
+        this.sendMessage(message);
+
+        // Version 1 peers only understand `discovery` heartbeats
+        if (this.getPeers().some(peer => peer.protocolVersion < PROTOCOL_VERSION)) {
+            this.sendMessage({ ...message, type: 'discovery' });
+        }
+    }
+
+    replyTo(peer) {
+        this.sendTo(peer, { type: 'heartbeat' });
+    }
+
+    // Unicast to one member, piggybacking pending membership updates
+    sendTo(peer, payload) {
+        const message = JSON.stringify(this.signer.sign({
+            ...this.createDiscoveryMessage(payload.type),
+            ...payload,
+            gossip: this.takeGossip()
+        }));
+
+        this.socket.send(message, this.discoveryPort, peer.ip, (err) => {
+            if (err) {
+                this.logger.debug({ 
+                    err, 
+                    peerName: peer.name, 
+                    type: payload.type, 
+                    tenant: this.tenant 
+                }, 'Failed to send discovery message to peer');
+            } else {
+                this.metrics.recordDiscoveryMessage(payload.type, 'sent');
+            }
+        });
+    }
+
+    // Tell peers this pod is going away. Heartbeats stop first so the pod
+    // isn't rediscovered while it drains.
+    leave() {
+        this.leaving = true;
+        this.failureDetector.stop();
+        if (this.heartbeatInterval) {
+            clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = null;
+        }
+
+        this.logger.info({ tenant: this.tenant }, 'Announcing departure to peers');
+        this.sendMessage(this.createDiscoveryMessage('leave'));
+    }
+
+    // Each copy is signed separately, so a pod reached by both the multicast
+    // and the broadcast copy doesn't take the second one for a replay
+    sendMessage(payload) {
         // Use tenant-specific multicast address for better isolation
         const multicastAddress = this.getTenantMulticastAddress();
         
         // Send to tenant-specific multicast address
-        this.socket.send(message, this.discoveryPort, multicastAddress, (err) => {
+        this.socket.send(JSON.stringify(this.signer.sign(payload)), this.discoveryPort, multicastAddress, (err) => {
             if (err) {
                 this.logger.warn({ 
-                    err: error, 
+                    err, 
                     multicastAddress, 
                     tenant: this.tenant 
                 }, 'Failed to send discovery multicast');
             } else {
-                this.metrics.recordDiscoveryMessage('discovery', 'sent');
+                this.metrics.recordDiscoveryMessage(payload.type, 'sent');
             }
         });
 
         // Fallback to broadcast for compatibility
         const broadcastAddress = this.getBroadcastAddress();
-        this.socket.send(message, this.discoveryPort, broadcastAddress, (err) => {
+        this.socket.send(JSON.stringify(this.signer.sign(payload)), this.discoveryPort, broadcastAddress, (err) => {
             if (err) {
                 this.logger.warn({ 
-                    err: error, 
+                    err, 
                     broadcastAddress, 
                     tenant: this.tenant 
                 }, 'Failed to send discovery broadcast');
@@ -249,12 +577,19 @@ class UDPDiscovery {
         return '255.255.255.255';
     }
 
+    // Dead members are forgotten once their death has had time to spread.
+    // Peers too old to take part in SWIM are still dropped when their
+    // heartbeats stop.
     cleanupStalePeers() {
         const now = new Date();
-        const staleThreshold = 90000; // 90 seconds
 
         for (const [name, peer] of this.peers) {
-            if (now - peer.lastSeen > staleThreshold) {
+            if (peer.state === 'dead') {
+                if (now - peer.stateChangedAt > this.staleThresholdMs) {
+                    this.peers.delete(name);
+                    this.gossip.delete(name);
+                }
+            } else if (peer.protocolVersion < SWIM_PROTOCOL_VERSION && now - peer.lastSeen > this.staleThresholdMs) {
                 this.logger.info({ 
                     peerName: name, 
                     tenant: this.tenant 
@@ -263,6 +598,7 @@ class UDPDiscovery {
                 this.notifyPeerDiscovered(peer, 'removed');
             }
         }
+        this.updatePeerStateMetrics();
     }
 
     notifyPeerDiscovered(peer, action) {
@@ -278,11 +614,33 @@ class UDPDiscovery {
         });
     }
 
+    // Live members: alive and suspect ones, as in SWIM
     getPeers() {
-        return Array.from(this.peers.values());
+        return Array.from(this.peers.values()).filter(peer => peer.state !== 'dead');
+    }
+
+    // Members the failure detector probes
+    getProbeTargets() {
+        return this.getPeers().filter(peer => peer.protocolVersion >= SWIM_PROTOCOL_VERSION);
+    }
+
+    getLocalNode() {
+        return {
+            name: this.podName,
+            ip: this.podIP,
+            port: this.servicePort,
+            internalPort: this.internalPort,
+            incarnation: this.incarnation,
+            protocolVersion: PROTOCOL_VERSION
+        };
     }
 
     stop() {
+        this.running = false;
+        this.failureDetector.stop();
+        this.suspicionTimers.forEach(timer => clearTimeout(timer));
+        this.suspicionTimers.clear();
+
         if (this.heartbeatInterval) {
             clearInterval(this.heartbeatInterval);
         }
@@ -1,82 +1,456 @@
-const http = require('http');
+const PeerClient = require('./peer-client');
+const HashRing = require('./hash-ring');
+const LocalStore = require('./local-store');
+const HintStore = require('./hint-store');
+const { HybridLogicalClock, compareVersions, formatVersion, parseVersion } = require('./hlc');
+const { ConflictError, PreconditionFailedError, UnavailableError, fromResponse } = require('./errors');
+const { LOCK_KEY_PREFIX, LOCK_CONSISTENCY, isLockKey, leaseLapse } = require('./locks');
+
+// Entries per request when streaming keys to their new owners on drain
+const HANDOFF_BATCH_SIZE = 100;
+
+// Glob pattern over whole keys: `*` matches any run of characters, `?` a
+// single one, everything else itself. Matching backtracks only to the most
+// recent `*`, so it takes at most key length x pattern length steps however
+// many wildcards the pattern has (a regular expression would backtrack
+// exponentially on patterns like `*a*a*a*b`).
+const globMatcher = (glob) => (key) => {
+  let g = 0;
+  let k = 0;
+  let star = -1;
+  let resume = 0;
+
+  while (k < key.length) {
+    if (g < glob.length && (glob[g] === '?' || (glob[g] !== '*' && glob[g] === key[k]))) {
+      g++;
+      k++;
+    } else if (g < glob.length && glob[g] === '*') {
+      star = g++;
+      resume = k;
+    } else if (star !== -1) {
+      // Let the last `*` swallow one more character and retry from there
+      g = star + 1;
+      k = ++resume;
+    } else {
+      return false;
+    }
+  }
+  while (g < glob.length && glob[g] === '*') g++;
+  return g === glob.length;
+};
+
+// Literal text before a glob's first wildcard; every match starts with it
+const globPrefix = (glob) => glob.split(/[*?]/)[0];
+
+// Resolve with the results of the first `required` promises to fulfil, or with
+// every fulfilled result once all have settled if fewer than that succeed
+const firstFulfilled = (promises, required) => new Promise((resolve) => {
+  const results = [];
+  let settled = 0;
+
+  // Every promise gets a handler, even when nothing needs to be awaited, so
+  // background failures never surface as unhandled rejections
+  for (const promise of promises) {
+    promise
+      .then(result => results.push(result), () => {})
+      .finally(() => {
+        settled++;
+        if (results.length >= required || settled === promises.length) {
+          resolve(results.slice());
+        }
+      });
+  }
+
+  if (required <= 0 || promises.length === 0) {
+    resolve([]);
+  }
+});
 
 class KVCache {
-  constructor(discovery, logger, metrics) {
+  constructor(discovery, logger, metrics, config, peerAuth = null) {
     this.discovery = discovery;
     this.logger = logger;
     this.metrics = metrics;
-    this.cache = new Map();
-    this.replicationFactor = 2; // Number of replicas per key
+    this.config = config;
+    this.cache = new LocalStore({
+      maxEntries: config.cache.maxEntries,
+      maxBytes: config.cache.maxBytes,
+      evictionPolicy: config.cache.evictionPolicy,
+      indexedPrefixes: [LOCK_KEY_PREFIX],
+      onExpire: (key, entry) => {
+        if (entry.tombstone) {
+          this.logger.debug({ key }, 'Tombstone garbage collected');
+          return;
+        }
+        this.logger.debug({ key }, 'Key expired');
+        this.metrics.recordExpiration();
+      },
+      onEvict: (key, entry, policy) => {
+        const kind = entry.owned ? 'owned' : 'near';
+        this.logger.debug({ key, policy, kind }, 'Key evicted');
+        this.metrics.recordEviction(policy, kind);
+      }
+    });
+    this.cache.startSweeper(config.cache.ttlSweepIntervalMs);
+    this.nearCacheTtlMs = config.cache.nearTtlMs;
+    this.replicationFactor = config.cluster.replicationFactor; // Number of replicas per key
+    this.readConsistency = config.cluster.readConsistency;
+    this.writeConsistency = config.cluster.writeConsistency;
+    this.readRepairChance = config.cluster.readRepairChance;
+    this.tombstoneGraceMs = config.cluster.tombstoneGraceMs;
+    this.localNode = discovery.getLocalNode();
+    this.peerClient = new PeerClient(this.localNode, logger, {
+      timeout: config.cluster.peerTimeoutMs,
+      auth: peerAuth
+    });
+    this.clock = new HybridLogicalClock(this.localNode.name);
+    this.keyLocks = new Map();
+    this.hints = new HintStore({
+      maxEntries: config.cluster.hints.maxEntries,
+      ttlMs: config.cluster.hints.ttlMs,
+      onDiscard: (hint, reason) => {
+        this.logger.warn({ 
+          key: hint.key, 
+          peerName: hint.peer, 
+          op: hint.op, 
+          reason 
+        }, 'Discarded hinted write');
+        this.metrics.recordHintReplay(reason);
+      }
+    });
+    this.replayingHints = new Set();
+    this.hintReplayInterval = setInterval(() => this.replayAllHints(), config.cluster.hints.replayIntervalMs);
+    this.hintReplayInterval.unref();
+    this.virtualNodes = config.cluster.virtualNodes;
+    this.ring = null;
+    this.rebuildRing();
     
     // Listen for peer changes
     this.discovery.onPeerDiscovered((peer, action) => {
+      const previousRing = this.rebuildRing();
+      this.refreshOwnership();
+
       if (action === 'added') {
         this.logger.info({ 
           peerName: peer.name, 
           peerIP: peer.ip 
         }, 'New peer joined cache cluster');
         this.syncWithPeer(peer);
+        this.redistributeKeys(previousRing);
+        this.replayHints(peer);
       } else if (action === 'removed') {
         this.logger.info({ 
           peerName: peer.name, 
           peerIP: peer.ip 
         }, 'Peer left cache cluster');
-        this.redistributeKeys();
+        this.redistributeKeys(previousRing);
       }
     });
   }
 
-  // Hash function to determine which peers should store a key
-  hashKey(key) {
-    let hash = 0;
-    for (let i = 0; i < key.length; i++) {
-      const char = key.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+  // Rebuild the hash ring from the current membership, including this pod.
+  // Returns the previous ring so callers can work out which owners changed.
+  rebuildRing() {
+    const previous = this.ring;
+    this.ring = new HashRing(this.virtualNodes);
+    this.ring.setNodes([this.localNode, ...this.discovery.getPeers()]);
+    return previous;
+  }
+
+  // Re-flag local entries as owned replicas or near-cache copies after the
+  // ring changed, so eviction keeps preferring keys we aren't responsible for
+  refreshOwnership() {
+    for (const key of this.cache.keys({ includeTombstones: true })) {
+      this.cache.setOwned(key, this.isResponsibleForKey(key));
     }
-    return Math.abs(hash);
   }
 
-  // Get responsible peers for a key
+  isLocalNode(node) {
+    return node.name === this.localNode.name;
+  }
+
+  // Whether a pod of this name is currently part of the cluster
+  isMember(name) {
+    return name === this.localNode.name || this.discovery.getPeers().some(peer => peer.name === name);
+  }
+
+  // Get responsible nodes for a key; the first entry is the primary owner and
+  // may be this pod itself
   getResponsiblePeers(key) {
-    const peers = this.discovery.getPeers();
-    if (peers.length === 0) return [];
-    
-    const hash = this.hashKey(key);
-    const startIndex = hash % peers.length;
-    const responsible = [];
-    
-    for (let i = 0; i < Math.min(this.replicationFactor, peers.length); i++) {
-      const index = (startIndex + i) % peers.length;
-      responsible.push(peers[index]);
-    }
-    
-    return responsible;
+    return this.ring.getNodes(key, this.replicationFactor);
+  }
+
+  // Responsible nodes other than this pod, i.e. the ones we replicate to
+  getRemoteReplicas(key) {
+    return this.getResponsiblePeers(key).filter(node => !this.isLocalNode(node));
   }
 
   // Check if current node is responsible for a key
   isResponsibleForKey(key) {
-    const responsible = this.getResponsiblePeers(key);
-    const myIP = process.env.POD_IP;
-    return responsible.some(peer => peer.ip === myIP) || responsible.length === 0;
+    return this.getResponsiblePeers(key).some(node => this.isLocalNode(node));
+  }
+
+  // The first responsible node coordinates conditional and read-modify-write
+  // operations for a key
+  getPrimary(key) {
+    return this.getResponsiblePeers(key)[0];
+  }
+
+  // Serialize operations on a key within this pod
+  async withKeyLock(key, fn) {
+    const previous = this.keyLocks.get(key) || Promise.resolve();
+    const run = previous.then(() => fn());
+    const tail = run.catch(() => {});
+    this.keyLocks.set(key, tail);
+
+    try {
+      return await run;
+    } finally {
+      if (this.keyLocks.get(key) === tail) {
+        this.keyLocks.delete(key);
+      }
+    }
+  }
+
+  // Run an operation at the key's primary owner, forwarding it over the
+  // internal API when this pod isn't the primary. `forwarded` is set on the
+  // receiving side so a request is never bounced between pods that briefly
+  // disagree on ownership. Operations resolve to an entry or null.
+  async executeAtPrimary(op, key, args, { forwarded = false } = {}) {
+    const primary = this.getPrimary(key);
+
+    if (forwarded || this.isLocalNode(primary)) {
+      return this.withKeyLock(key, () => this.runPrimaryOperation(op, key, args));
+    }
+
+    let response;
+    try {
+      response = await this.peerClient.request(
+        primary, 'POST', `/_internal/primary/${op}/${encodeURIComponent(key)}`, { body: args }
+      );
+    } catch (error) {
+      this.logger.warn({ 
+        err: error, 
+        peerName: primary.name, 
+        key, 
+        op 
+      }, 'Failed to reach primary owner');
+      this.metrics.recordReplicationOperation(op, 'error');
+      throw new UnavailableError(`Primary owner ${primary.name} is unreachable`);
+    }
+
+    if (response.statusCode !== 200) {
+      throw fromResponse(response.statusCode, response.body);
+    }
+    const { entry } = response.body;
+    return entry ? this.deserializeEntry(entry) : null;
   }
 
-  async get(key) {
-    // First check local cache
-    if (this.cache.has(key)) {
-      return this.cache.get(key);
+  runPrimaryOperation(op, key, args) {
+    switch (op) {
+      case 'set':
+        return this.conditionalSet(key, args);
+      case 'delete':
+        return this.conditionalDelete(key, args);
+      case 'incr':
+        return this.increment(key, args);
+      case 'acquire':
+      case 'renew':
+      case 'release':
+      case 'expire':
+        return this.leaseOperation(op, key, args);
+      default:
+        throw new Error(`Unknown primary operation: ${op}`);
+    }
+  }
+
+  // Evaluate If-Match / If-None-Match style preconditions against the
+  // current entry. Tags are version strings, or '*' for "any version".
+  checkPreconditions(current, { ifMatch, ifNoneMatch } = {}) {
+    const currentTag = current ? formatVersion(current.version) : null;
+    const matches = (tags) => tags.some(tag => tag === '*' ? current !== null : tag === currentTag);
+
+    if (ifNoneMatch && ifNoneMatch.length > 0 && matches(ifNoneMatch)) {
+      if (ifNoneMatch.includes('*')) {
+        throw new ConflictError('Key already exists');
+      }
+      throw new PreconditionFailedError('Version matches If-None-Match');
+    }
+
+    if (ifMatch && ifMatch.length > 0 && !matches(ifMatch)) {
+      throw new PreconditionFailedError(current ? 'Version does not match If-Match' : 'Key not found');
+    }
+  }
+
+  // Create-only, update-only or compare-and-swap write, run at the primary
+  async conditionalSet(key, { value, ttl, ifMatch, ifNoneMatch, consistency }) {
+    const current = await this.get(key);
+    this.checkPreconditions(current, { ifMatch, ifNoneMatch });
+    return this.set(key, value, { ttl, consistency });
+  }
+
+  // Delete guarded by If-Match, run at the primary. Returns the deleted entry
+  // or null if there was nothing to delete.
+  async conditionalDelete(key, { ifMatch, consistency }) {
+    const current = await this.get(key);
+    this.checkPreconditions(current, { ifMatch });
+    await this.delete(key, { consistency });
+    return current;
+  }
+
+  // Add `by` to an integer value, run at the primary so concurrent increments
+  // from any pod never lose an update. A missing key starts from 0 and
+  // expires after `ttl` seconds, if given; an existing key keeps its expiry,
+  // so a counter created with a TTL acts as a fixed window.
+  async increment(key, { by = 1, ttl, consistency }) {
+    const current = await this.get(key);
+    if (current && !Number.isSafeInteger(current.value)) {
+      throw new ConflictError('Value is not an integer');
+    }
+
+    const value = (current ? current.value : 0) + by;
+    if (!Number.isSafeInteger(value)) {
+      throw new ConflictError('Increment would overflow');
+    }
+
+    const expiresAt = current ? current.expiresAt : this.expiresAtFromTtl(ttl);
+    return this.set(key, value, { expiresAt, consistency });
+  }
+
+  // Lease transitions for the lock stored under `key` (see locks.js), run at
+  // the primary. The lock is read and written at quorum of its replicas, so
+  // a new primary taking over after a failure sees the last token handed
+  // out, and a lone surviving replica can still serve it. The stored
+  // value is { owner, token, expiresAt, grantedBy }, with owner null once
+  // released; the entry outlives the lease by the tombstone grace period.
+  // Tokens are at least the current time in milliseconds, so they keep
+  // increasing even after a released lock's entry has been collected.
+  async leaseOperation(op, key, { owner, token, ttl } = {}) {
+    const now = Date.now();
+    const current = await this.get(key, { consistency: LOCK_CONSISTENCY });
+    const state = current ? current.value : null;
+    const lapse = leaseLapse(state, now, name => this.isMember(name));
+    const held = state !== null && state.owner !== null && lapse === null;
+    const isHolder = held && state.owner === owner && state.token === token;
+    let next;
+
+    switch (op) {
+      case 'acquire':
+        if (held && state.owner !== owner) {
+          throw new ConflictError(`Lock is held until ${new Date(state.expiresAt).toISOString()}`);
+        }
+        // Acquiring again as the holder extends the lease under the same token
+        next = {
+          owner,
+          token: held ? state.token : Math.max((state ? state.token : 0) + 1, now),
+          expiresAt: now + ttl * 1000,
+          grantedBy: this.localNode.name
+        };
+        break;
+      case 'renew':
+        if (!isHolder) {
+          throw new ConflictError('Lease lost');
+        }
+        next = { ...state, expiresAt: now + ttl * 1000, grantedBy: this.localNode.name };
+        break;
+      case 'release':
+        if (!isHolder) {
+          throw new ConflictError('Lease not held');
+        }
+        next = { owner: null, token: state.token, expiresAt: null, grantedBy: this.localNode.name };
+        break;
+      case 'expire':
+        if (lapse === null) return current;
+        next = { owner: null, token: state.token, expiresAt: null, grantedBy: this.localNode.name };
+        break;
+    }
+
+    // A lapsed lease is counted once, by whichever write replaces it
+    if (lapse !== null) {
+      this.logger.info({ key, owner: state.owner, token: state.token, reason: lapse }, 'Lease lapsed');
+      this.metrics.recordLockExpiration(lapse);
+    }
+    return this.set(key, next, {
+      expiresAt: (next.expiresAt || now) + this.tombstoneGraceMs,
+      consistency: LOCK_CONSISTENCY
+    });
+  }
+
+  // Convert a relative TTL in seconds into an absolute expiry timestamp.
+  // The absolute value is what travels through replication so every replica
+  // expires the key at the same moment.
+  expiresAtFromTtl(ttl) {
+    return ttl ? Date.now() + ttl * 1000 : null;
+  }
+
+  // Store an entry received from another pod unless we already hold the same
+  // or a newer version (last writer wins). Returns true if it was applied.
+  applyEntry(key, entry, { owned = this.isResponsibleForKey(key) } = {}) {
+    const current = this.cache.peek(key);
+    if (current && compareVersions(current.version, entry.version) >= 0) {
+      return false;
+    }
+
+    if (entry.version) {
+      this.clock.update(entry.version);
+    }
+    this.cache.set(key, entry.value, {
+      expiresAt: entry.expiresAt,
+      version: entry.version,
+      owned,
+      tombstone: entry.tombstone
+    });
+    return true;
+  }
+
+  // Number of replica acknowledgements a consistency level requires. Locks
+  // count only the replicas present, which is fewer than the replication
+  // factor while the cluster is smaller (a single pod, or a pod that died
+  // and left the ring).
+  requiredAcks(level) {
+    switch (level) {
+      case LOCK_CONSISTENCY:
+        return Math.floor(Math.min(this.replicationFactor, this.ring.size()) / 2) + 1;
+      case 'all':
+        return this.replicationFactor;
+      case 'quorum':
+        return Math.floor(this.replicationFactor / 2) + 1;
+      default:
+        return 1;
+    }
+  }
+
+  // Returns the entry ({ value, expiresAt, version }) for a key, or null.
+  // ONE answers from the first replica that has the key; QUORUM and ALL ask
+  // that many replicas and return the newest version among them.
+  async get(key, { consistency = this.readConsistency } = {}) {
+    if (consistency !== 'one') {
+      return this.getFromReplicas(key, consistency);
+    }
+
+    if (this.readRepairChance > 0 && Math.random() < this.readRepairChance) {
+      this.repairKey(key).catch(error => {
+        this.logger.warn({ err: error, key }, 'Background read repair failed');
+      });
+    }
+
+    // First check local cache; a local tombstone means the key was deleted
+    const local = this.cache.get(key);
+    if (local && this.isServable(local)) {
+      return local.tombstone ? null : local;
     }
 
     // If not found locally, check responsible peers
-    const responsible = this.getResponsiblePeers(key);
+    const responsible = this.getRemoteReplicas(key);
+    let answered = false;
     
     for (const peer of responsible) {
       try {
-        const value = await this.getFromPeer(peer, key);
-        if (value !== null) {
-          // Cache locally for faster access
-          this.cache.set(key, value);
-          return value;
+        const entry = await this.getFromPeer(peer, key);
+        answered = true;
+        if (entry !== null) {
+          this.keepFetched(key, entry);
+          return entry.tombstone ? null : this.cache.peek(key) || entry;
         }
       } catch (error) {
         this.logger.warn({ 
@@ -88,245 +462,821 @@ class KVCache {
       }
     }
 
+    // No replica has the key any more
+    if (answered) {
+      this.keepFetched(key, null);
+    }
     return null;
   }
 
-  async set(key, value) {
-    // Always store locally first
-    this.cache.set(key, value);
+  // Whether a local entry may answer a read on its own. Replicas always can;
+  // a near-cache copy only while it is younger than CACHE_NEAR_TTL_MS, after
+  // which it is fetched again so updates and deletes show through.
+  isServable(entry) {
+    return entry.owned || Date.now() - entry.storedAt < this.nearCacheTtlMs;
+  }
 
-    // Replicate to responsible peers
-    const responsible = this.getResponsiblePeers(key);
-    const promises = responsible.map(peer => 
-      this.setOnPeer(peer, key, value).catch(error => {
+  // Keep an entry fetched from the key's replicas. On a replica it is
+  // applied like a replicated write. Elsewhere it replaces the near-cache
+  // copy, or drops it when `entry` is null because no replica has the key.
+  keepFetched(key, entry) {
+    if (this.isResponsibleForKey(key)) {
+      if (entry) this.applyEntry(key, entry);
+      return;
+    }
+
+    const current = this.cache.peek(key);
+    if (!entry || this.nearCacheTtlMs === 0) {
+      if (current) this.cache.delete(key);
+      return;
+    }
+    if (current && compareVersions(current.version, entry.version) > 0) return;
+
+    // Written even when the version is unchanged, to restart the copy's TTL
+    if (entry.version) {
+      this.clock.update(entry.version);
+    }
+    this.cache.set(key, entry.value, {
+      expiresAt: entry.expiresAt,
+      version: entry.version,
+      owned: false,
+      tombstone: entry.tombstone
+    });
+  }
+
+  async getFromReplicas(key, consistency) {
+    const required = this.requiredAcks(consistency);
+    const responses = await this.collectReplicaResponses(key, required);
+
+    if (responses.length < required) {
+      throw new UnavailableError(
+        `Read consistency ${consistency} not met: ${responses.length} of ${required} replicas responded`
+      );
+    }
+
+    // The newest version may be a tombstone, which is repaired like any
+    // other write but reads as a missing key
+    const newest = this.newestEntry(responses);
+    this.keepFetched(key, newest);
+    if (newest) {
+      this.readRepair(key, newest, responses);
+    }
+    return newest && !newest.tombstone ? newest : null;
+  }
+
+  // Ask this pod (when it is a replica) and the remote replicas for a key,
+  // resolving once `required` of them have answered. Each response is
+  // { peer, entry } where peer is null for the local copy and entry is null
+  // when that replica doesn't have the key.
+  async collectReplicaResponses(key, required) {
+    const responses = [];
+
+    if (this.isResponsibleForKey(key)) {
+      responses.push({ peer: null, entry: this.cache.get(key) });
+    }
+
+    const reads = this.getRemoteReplicas(key).map(peer =>
+      this.getFromPeer(peer, key).then(entry => ({ peer, entry }), error => {
         this.logger.warn({ 
           err: error, 
           peerName: peer.name, 
           key 
-        }, 'Failed to replicate to peer');
-        this.metrics.recordReplicationOperation('set', 'error');
+        }, 'Failed to get key from peer');
+        this.metrics.recordReplicationOperation('get', 'error');
+        throw error;
       })
     );
+    responses.push(...await firstFulfilled(reads, required - responses.length));
 
-    // Wait for at least one successful replication
-    try {
-      await Promise.race(promises);
-    } catch (error) {
-      this.logger.warn({ err: error, key }, 'All replications failed, key stored locally only');
+    return responses;
+  }
+
+  newestEntry(responses) {
+    return responses.reduce((best, { entry }) => {
+      if (!entry) return best;
+      return !best || compareVersions(entry.version, best.version) > 0 ? entry : best;
+    }, null);
+  }
+
+  // Push the newest version to every replica that answered with an older
+  // one or without the key. Remote repairs run in the background.
+  readRepair(key, newest, responses) {
+    for (const { peer, entry } of responses) {
+      if (entry && compareVersions(entry.version, newest.version) >= 0) continue;
+
+      if (peer === null) {
+        // Already applied locally by the caller
+        this.metrics.recordKeyRepaired('read_repair');
+        continue;
+      }
+
+      this.setOnPeer(peer, key, newest)
+        .then(() => {
+          this.logger.debug({ key, peerName: peer.name }, 'Read repair updated stale replica');
+          this.metrics.recordKeyRepaired('read_repair');
+        })
+        .catch(error => {
+          this.logger.warn({ 
+            err: error, 
+            peerName: peer.name, 
+            key 
+          }, 'Read repair failed');
+        });
     }
+  }
 
-    return true;
+  // Compare every replica of a key and repair the stale ones. Used in the
+  // background for a fraction of ONE reads, which otherwise never notice
+  // diverged replicas.
+  async repairKey(key) {
+    const responses = await this.collectReplicaResponses(key, this.replicationFactor);
+    const newest = this.newestEntry(responses);
+
+    // Only an answer from every replica may drop a near-cache copy
+    if (newest || responses.length === this.getResponsiblePeers(key).length) {
+      this.keepFetched(key, newest);
+    }
+    if (newest) {
+      this.readRepair(key, newest, responses);
+    }
   }
 
-  async delete(key) {
-    // Delete locally
-    this.cache.delete(key);
+  // Fan a write out to the key's remote replicas and wait until the
+  // consistency level is met. The local write counts as one acknowledgement
+  // when this pod is itself a replica. Replicas beyond the required count
+  // still receive the write in the background. Throws UnavailableError when
+  // too few replicas acknowledge; the write is not rolled back on the ones
+  // that did. Replicas that fail are sent the write later as a hint, which
+  // doesn't count towards the consistency level.
+  async replicateWrite(key, op, consistency, payload) {
+    const required = this.requiredAcks(consistency);
+    const localAcks = this.isResponsibleForKey(key) ? 1 : 0;
 
-    // Delete from responsible peers
-    const responsible = this.getResponsiblePeers(key);
-    const promises = responsible.map(peer => 
-      this.deleteFromPeer(peer, key).catch(error => {
+    const writes = this.getRemoteReplicas(key).map(peer =>
+      this.sendWrite(peer, key, op, payload).catch(error => {
         this.logger.warn({ 
           err: error, 
           peerName: peer.name, 
-          key 
-        }, 'Failed to delete from peer');
-        this.metrics.recordReplicationOperation('delete', 'error');
+          key, 
+          op 
+        }, 'Failed to replicate to peer');
+        this.metrics.recordReplicationOperation(op, 'error');
+        this.hintWrite(peer, key, op, payload);
+        throw error;
       })
     );
 
-    await Promise.allSettled(promises);
+    const acks = localAcks + (await firstFulfilled(writes, required - localAcks)).length;
+    if (acks < required) {
+      throw new UnavailableError(
+        `Write consistency ${consistency} not met: ${acks} of ${required} replicas acknowledged`
+      );
+    }
+    return acks;
+  }
+
+  // Send one replicated write to a peer. The payload is the entry for set,
+  // { expiresAt, version } for touch and the tombstone for delete.
+  sendWrite(peer, key, op, payload) {
+    switch (op) {
+      case 'set':
+        return this.setOnPeer(peer, key, payload);
+      case 'touch':
+        return this.touchOnPeer(peer, key, payload.expiresAt, payload.version);
+      case 'delete':
+        return this.deleteFromPeer(peer, key, payload);
+      default:
+        return Promise.reject(new Error(`Unknown replicated operation: ${op}`));
+    }
+  }
+
+  // Keep a write for a replica that couldn't be reached
+  hintWrite(peer, key, op, payload) {
+    // Snapshot the entry: the stored one is mutated by later touches
+    const snapshot = op === 'touch' ? payload : {
+      value: payload.value,
+      expiresAt: payload.expiresAt,
+      version: payload.version,
+      tombstone: payload.tombstone
+    };
+
+    if (this.hints.add(peer.name, key, op, snapshot)) {
+      this.logger.debug({ key, peerName: peer.name, op }, 'Stored hinted write');
+      this.metrics.updateHintQueueDepth(this.hints.size);
+    }
+  }
+
+  // Deliver the hints queued for a peer, oldest first. Stops at the first
+  // failure: the peer is most likely still unreachable and the remaining
+  // hints are retried on the next replay.
+  async replayHints(peer) {
+    if (this.replayingHints.has(peer.name)) return;
+    const hints = this.hints.forPeer(peer.name);
+    if (hints.length === 0) return;
+
+    this.replayingHints.add(peer.name);
+    let replayed = 0;
+
+    try {
+      for (const hint of hints) {
+        try {
+          await this.sendWrite(peer, hint.key, hint.op, hint.payload);
+        } catch (error) {
+          this.logger.debug({ 
+            err: error, 
+            peerName: peer.name, 
+            pending: hints.length - replayed 
+          }, 'Hint replay failed, will retry');
+          this.metrics.recordHintReplay('failed');
+          break;
+        }
+
+        this.hints.remove(hint);
+        this.metrics.recordHintReplay('replayed');
+        replayed++;
+      }
+    } finally {
+      this.replayingHints.delete(peer.name);
+      this.metrics.updateHintQueueDepth(this.hints.size);
+    }
+
+    if (replayed > 0) {
+      this.logger.info({ peerName: peer.name, replayed }, 'Replayed hinted writes to peer');
+    }
+  }
+
+  // Retry hints for every peer discovery currently reports alive. Peers that
+  // left for good keep their hints until they expire.
+  async replayAllHints() {
+    const pending = this.hints.peers();
+    this.metrics.updateHintQueueDepth(this.hints.size);
+
+    for (const peer of this.discovery.getPeers()) {
+      if (pending.has(peer.name)) {
+        await this.replayHints(peer);
+      }
+    }
+  }
+
+  // `expiresAt` (absolute) takes the place of `ttl` to keep a known expiry
+  async set(key, value, { ttl, expiresAt = this.expiresAtFromTtl(ttl), consistency = this.writeConsistency } = {}) {
+    // Always store locally first
+    const entry = this.cache.set(key, value, {
+      expiresAt,
+      version: this.clock.now(),
+      owned: this.isResponsibleForKey(key)
+    });
+
+    // Replicate to responsible peers
+    await this.replicateWrite(key, 'set', consistency, entry);
+    return entry;
+  }
+
+  // Reset the expiry of an existing key to `ttl` seconds from now (or remove
+  // it when ttl is null). Returns the updated entry, or null if the key is absent.
+  async touch(key, ttl, { consistency = this.writeConsistency } = {}) {
+    const entry = await this.get(key);
+    if (!entry) return null;
+
+    // A TTL change is a write in its own right and gets a fresh version
+    const expiresAt = this.expiresAtFromTtl(ttl);
+    const version = this.clock.now();
+    this.cache.touch(key, expiresAt, version);
+
+    await this.replicateWrite(key, 'touch', consistency, { expiresAt, version });
+    return { ...entry, expiresAt, version };
+  }
+
+  // A delete is stored and replicated as a versioned tombstone, so a replica
+  // that missed it can't hand the old value back through sync or repair.
+  // Tombstones are garbage collected once the grace period has passed.
+  async delete(key, { consistency = this.writeConsistency } = {}) {
+    const tombstone = this.cache.set(key, undefined, {
+      expiresAt: Date.now() + this.tombstoneGraceMs,
+      version: this.clock.now(),
+      owned: this.isResponsibleForKey(key),
+      tombstone: true
+    });
+
+    // Delete from responsible peers
+    await this.replicateWrite(key, 'delete', consistency, tombstone);
     return true;
   }
 
-  async keys() {
-    const allKeys = new Set(this.cache.keys());
+  // Keys grouped by the node `pick` returns for each, as a Map of node name
+  // -> { peer, keys }. Keys for which `pick` returns nothing are left out.
+  groupByPeer(keys, pick) {
+    const groups = new Map();
+    for (const key of keys) {
+      for (const peer of [].concat(pick(key) || [])) {
+        if (!groups.has(peer.name)) {
+          groups.set(peer.name, { peer, keys: [] });
+        }
+        groups.get(peer.name).keys.push(key);
+      }
+    }
+    return groups;
+  }
+
+  // Batched get. Resolves with a Map of key -> { entry } (entry null when
+  // the key doesn't exist) or { error } when the consistency level couldn't
+  // be met for that key. Keys are fetched with one request per peer: for ONE,
+  // keys missing locally go to their first remote replica, and keys it lacks
+  // or couldn't serve to the next one; QUORUM and ALL ask every replica at
+  // once and keep the newest version per key, repairing stale replicas.
+  async getMany(keys, { consistency = this.readConsistency } = {}) {
+    if (consistency !== 'one') {
+      return this.getManyFromReplicas(keys, consistency);
+    }
+
+    const results = new Map();
+    const answered = new Set();
+    let pending = [];
+
+    for (const key of keys) {
+      const local = this.cache.get(key);
+      if (local && this.isServable(local)) {
+        results.set(key, { entry: local.tombstone ? null : local });
+        continue;
+      }
+      if (this.isResponsibleForKey(key)) {
+        answered.add(key);
+      }
+      pending.push(key);
+    }
 
-    // Collect keys from all peers
-    const peers = this.discovery.getPeers();
-    const promises = peers.map(async (peer) => {
+    for (let replica = 0; pending.length > 0 && replica < this.replicationFactor; replica++) {
+      const groups = this.groupByPeer(pending, key => this.getRemoteReplicas(key)[replica]);
+      const next = [];
+
+      await Promise.all([...groups.values()].map(async ({ peer, keys: batch }) => {
+        let entries;
+        try {
+          entries = await this.getManyFromPeer(peer, batch);
+        } catch (error) {
+          this.logger.warn({ 
+            err: error, 
+            peerName: peer.name, 
+            keys: batch.length 
+          }, 'Failed to get keys from peer');
+          this.metrics.recordReplicationOperation('mget', 'error');
+          next.push(...batch);
+          return;
+        }
+
+        for (const key of batch) {
+          const entry = entries.get(key);
+          answered.add(key);
+          if (!entry) {
+            next.push(key);
+            continue;
+          }
+          this.keepFetched(key, entry);
+          results.set(key, { entry: entry.tombstone ? null : this.cache.peek(key) || entry });
+        }
+      }));
+      pending = next;
+    }
+
+    // A key no replica has is missing; one no replica could answer for is
+    // an error rather than a silent miss
+    for (const key of keys) {
+      if (results.has(key)) continue;
+      if (answered.has(key)) {
+        this.keepFetched(key, null);
+      }
+      results.set(key, answered.has(key)
+        ? { entry: null }
+        : { error: new UnavailableError('No replica of the key could be reached') });
+    }
+    return results;
+  }
+
+  async getManyFromReplicas(keys, consistency) {
+    const required = this.requiredAcks(consistency);
+    const responses = new Map(keys.map(key => [key, []]));
+
+    for (const key of keys) {
+      if (this.isResponsibleForKey(key)) {
+        responses.get(key).push({ peer: null, entry: this.cache.get(key) });
+      }
+    }
+
+    const groups = this.groupByPeer(keys, key => this.getRemoteReplicas(key));
+    await Promise.all([...groups.values()].map(async ({ peer, keys: batch }) => {
       try {
-        const peerKeys = await this.getKeysFromPeer(peer);
-        peerKeys.forEach(key => allKeys.add(key));
+        const entries = await this.getManyFromPeer(peer, batch);
+        for (const key of batch) {
+          responses.get(key).push({ peer, entry: entries.get(key) || null });
+        }
       } catch (error) {
         this.logger.warn({ 
           err: error, 
-          peerName: peer.name 
+          peerName: peer.name, 
+          keys: batch.length 
         }, 'Failed to get keys from peer');
+        this.metrics.recordReplicationOperation('mget', 'error');
+      }
+    }));
+
+    const results = new Map();
+    for (const [key, keyResponses] of responses) {
+      if (keyResponses.length < required) {
+        results.set(key, { error: new UnavailableError(
+          `Read consistency ${consistency} not met: ${keyResponses.length} of ${required} replicas responded`
+        ) });
+        continue;
       }
-    });
 
-    await Promise.allSettled(promises);
-    return Array.from(allKeys);
+      const newest = this.newestEntry(keyResponses);
+      this.keepFetched(key, newest);
+      if (newest) {
+        this.readRepair(key, newest, keyResponses);
+      }
+      results.set(key, { entry: newest && !newest.tombstone ? newest : null });
+    }
+    return results;
   }
 
-  // Peer communication methods
-  async getFromPeer(peer, key) {
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: peer.ip,
-        port: peer.port,
-        path: `/kv/${encodeURIComponent(key)}`,
-        method: 'GET',
-        timeout: 5000
-      };
-
-      const req = http.request(options, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          if (res.statusCode === 200) {
-            try {
-              const parsed = JSON.parse(data);
-              resolve(parsed.value);
-            } catch (error) {
-              reject(new Error('Invalid JSON response'));
-            }
-          } else if (res.statusCode === 404) {
-            resolve(null);
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}`));
-          }
-        });
-      });
+  // Batched set of [{ key, value, ttl }]. Resolves with a Map of key ->
+  // { entry } or { error }; see writeMany.
+  async setMany(items, { consistency = this.writeConsistency } = {}) {
+    const entries = new Map(items.map(({ key, value, ttl }) => [key, this.cache.set(key, value, {
+      expiresAt: this.expiresAtFromTtl(ttl),
+      version: this.clock.now(),
+      owned: this.isResponsibleForKey(key)
+    })]));
+    return this.writeMany(entries, consistency);
+  }
 
-      req.on('error', reject);
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
-      });
-      
-      req.end();
-    });
+  // Batched delete. Resolves with a Map of key -> { entry } (the tombstone)
+  // or { error }; see writeMany.
+  async deleteMany(keys, { consistency = this.writeConsistency } = {}) {
+    const tombstones = new Map(keys.map(key => [key, this.cache.set(key, undefined, {
+      expiresAt: Date.now() + this.tombstoneGraceMs,
+      version: this.clock.now(),
+      owned: this.isResponsibleForKey(key),
+      tombstone: true
+    })]));
+    return this.writeMany(tombstones, consistency);
   }
 
-  async setOnPeer(peer, key, value) {
-    return new Promise((resolve, reject) => {
-      const postData = JSON.stringify({ value });
-      
-      const options = {
-        hostname: peer.ip,
-        port: peer.port,
-        path: `/kv/${encodeURIComponent(key)}`,
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(postData)
-        },
-        timeout: 5000
-      };
-
-      const req = http.request(options, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          if (res.statusCode === 200) {
-            resolve(true);
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}`));
-          }
-        });
-      });
+  // Replicate locally applied entries (values or tombstones) with one
+  // request per remote replica. Each key is judged on its own: it succeeds
+  // once its consistency level is met, or fails with UnavailableError
+  // without rolling back the replicas that did acknowledge it. Replicas that
+  // fail get every key of their batch as hints.
+  async writeMany(entries, consistency) {
+    const required = this.requiredAcks(consistency);
+    const requests = new Map();
 
-      req.on('error', reject);
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
+    for (const { peer, keys } of this.groupByPeer(entries.keys(), key => this.getRemoteReplicas(key)).values()) {
+      const batch = keys.map(key => ({ key, ...this.serializeEntry(entries.get(key)) }));
+      const request = this.setManyOnPeer(peer, batch).catch(error => {
+        this.logger.warn({ 
+          err: error, 
+          peerName: peer.name, 
+          keys: keys.length 
+        }, 'Failed to replicate batch to peer');
+        this.metrics.recordReplicationOperation('mset', 'error');
+        for (const key of keys) {
+          const entry = entries.get(key);
+          this.hintWrite(peer, key, entry.tombstone ? 'delete' : 'set', entry);
+        }
+        throw error;
       });
-      
-      req.write(postData);
-      req.end();
-    });
+      requests.set(peer.name, request);
+    }
+
+    const results = new Map();
+    await Promise.all([...entries].map(async ([key, entry]) => {
+      const localAcks = this.isResponsibleForKey(key) ? 1 : 0;
+      const writes = this.getRemoteReplicas(key).map(peer => requests.get(peer.name));
+      const acks = localAcks + (await firstFulfilled(writes, required - localAcks)).length;
+
+      results.set(key, acks < required
+        ? { error: new UnavailableError(`Write consistency ${consistency} not met: ${acks} of ${required} replicas acknowledged`) }
+        : { entry });
+    }));
+    return results;
   }
 
-  async deleteFromPeer(peer, key) {
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: peer.ip,
-        port: peer.port,
-        path: `/kv/${encodeURIComponent(key)}`,
-        method: 'DELETE',
-        timeout: 5000
-      };
-
-      const req = http.request(options, (res) => {
-        if (res.statusCode === 200) {
-          resolve(true);
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}`));
+  // One page of a cluster-wide scan in key order: up to `limit` live keys
+  // after `after` that start with `prefix` and match `glob`. Every pod is
+  // asked for its next `limit` entries (tombstones included) and the newest
+  // version of each key wins, as for keys(). A pod that filled its page may
+  // hold more keys before the others' last ones, so the page only covers keys
+  // up to the lowest such boundary. Resolves with { entries, after } where
+  // entries are [{ key, entry }] and `after` resumes the scan, or is null
+  // once it is complete. Values are only fetched with `values`.
+  async scan({ after = '', prefix = '', glob = null, limit, values = false }) {
+    const options = { after, prefix, glob, limit, values };
+    const pages = [this.scanLocal(options)];
+
+    await Promise.allSettled(this.discovery.getPeers().map(async (peer) => {
+      try {
+        pages.push(await this.scanPeer(peer, options));
+      } catch (error) {
+        this.logger.warn({ 
+          err: error, 
+          peerName: peer.name 
+        }, 'Failed to scan keys on peer');
+      }
+    }));
+
+    const newest = new Map();
+    let boundary = null;
+    for (const page of pages) {
+      for (const { key, entry } of page.entries) {
+        const current = newest.get(key);
+        if (!current || compareVersions(entry.version, current.version) > 0) {
+          newest.set(key, entry);
         }
-      });
+      }
+      const last = page.entries.length > 0 ? page.entries[page.entries.length - 1].key : null;
+      if (page.truncated && (boundary === null || last < boundary)) {
+        boundary = last;
+      }
+    }
 
-      req.on('error', reject);
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
-      });
-      
-      req.end();
-    });
+    const entries = [];
+    for (const key of [...newest.keys()].sort()) {
+      if (boundary !== null && key > boundary) break;
+
+      const entry = newest.get(key);
+      if (entry.tombstone) continue;
+
+      entries.push({ key, entry });
+      if (entries.length === limit) {
+        return { entries, after: key };
+      }
+    }
+    return { entries, after: boundary };
   }
 
-  async getKeysFromPeer(peer) {
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: peer.ip,
-        port: peer.port,
-        path: '/kv',
-        method: 'GET',
-        timeout: 5000
-      };
-
-      const req = http.request(options, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          if (res.statusCode === 200) {
-            try {
-              const parsed = JSON.parse(data);
-              resolve(parsed.keys || []);
-            } catch (error) {
-              reject(new Error('Invalid JSON response'));
-            }
-          } else {
-            resolve([]);
-          }
-        });
-      });
+  // This pod's part of a scan page: up to `limit` entries in key order,
+  // tombstones included, and whether there may be more
+  scanLocal({ after = '', prefix = '', glob = null, limit, values = false }) {
+    const matches = glob ? globMatcher(glob) : null;
+    const literal = glob ? globPrefix(glob) : '';
 
-      req.on('error', reject);
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
-      });
-      
-      req.end();
-    });
+    // Scan from the longer of the two prefixes; if neither extends the
+    // other no key can match both
+    if (!literal.startsWith(prefix) && !prefix.startsWith(literal)) {
+      return { entries: [], truncated: false };
+    }
+    const start = literal.length > prefix.length ? literal : prefix;
+
+    const entries = [];
+    const keys = after >= start
+      ? this.cache.sortedKeysFrom(after)
+      : this.cache.sortedKeysFrom(start, true);
+
+    for (const key of keys) {
+      if (entries.length >= limit || !key.startsWith(start)) break;
+      if (isLockKey(key) || (matches && !matches(key))) continue;
+
+      // Near-cache copies may be stale; the key's replicas answer for it
+      const entry = this.cache.peek(key);
+      if (!entry || !entry.owned) continue;
+      entries.push({ key, entry: values ? entry : { ...entry, value: undefined } });
+    }
+    return { entries, truncated: entries.length === limit };
+  }
+
+  // Local-only accessors used by the internal replication API. Peers read
+  // from this pod as a replica, so near-cache copies are left out.
+  getLocal(key) {
+    const entry = this.cache.get(key);
+    return entry && entry.owned ? entry : null;
+  }
+
+  // Like getLocal, but doesn't count as an access for eviction
+  peekLocal(key) {
+    return this.cache.peek(key);
+  }
+
+  setLocal(key, entry) {
+    return this.applyEntry(key, entry);
+  }
+
+  // Returns false if the key is absent; a touch older than the stored
+  // version is ignored
+  touchLocal(key, expiresAt, version) {
+    const current = this.cache.peek(key);
+    if (!current || current.tombstone) return false;
+
+    if (compareVersions(current.version, version) < 0) {
+      this.clock.update(version);
+      this.cache.touch(key, expiresAt, version);
+    }
+    return true;
+  }
+
+  deleteLocal(key, tombstone) {
+    return this.applyEntry(key, tombstone);
+  }
+
+  localKeys(options) {
+    return this.cache.keys(options);
+  }
+
+  // Versions of every local key, tombstones included, in wire format
+  localVersions() {
+    const versions = {};
+    for (const key of this.cache.keys({ includeTombstones: true })) {
+      const entry = this.cache.peek(key);
+      if (entry) {
+        versions[key] = formatVersion(entry.version);
+      }
+    }
+    return versions;
   }
 
+  // Live keys this pod is the primary owner of. Summed over all pods this
+  // counts every key in the cluster once, whatever the replication factor.
+  countPrimaryKeys() {
+    let count = 0;
+    for (const key of this.localKeys()) {
+      if (isLockKey(key)) continue;
+      const [primary] = this.getResponsiblePeers(key);
+      if (primary && this.isLocalNode(primary)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // Local lock keys this pod is the primary owner of
+  localLockKeys() {
+    return this.cache.keysWithPrefix(LOCK_KEY_PREFIX)
+      .filter(key => this.isLocalNode(this.getPrimary(key)));
+  }
+
+  // Wire format of an entry exchanged between pods
+  serializeEntry(entry) {
+    return {
+      value: entry.value,
+      expiresAt: entry.expiresAt,
+      version: formatVersion(entry.version),
+      deleted: Boolean(entry.tombstone)
+    };
+  }
+
+  deserializeEntry(body) {
+    return {
+      value: body.value,
+      expiresAt: body.expiresAt || null,
+      version: parseVersion(body.version),
+      tombstone: Boolean(body.deleted)
+    };
+  }
+
+  // Peer communication methods
+  async getFromPeer(peer, key) {
+    const { statusCode, body } = await this.peerClient.request(
+      peer, 'GET', `/_internal/kv/${encodeURIComponent(key)}`
+    );
+
+    if (statusCode === 200) {
+      return this.deserializeEntry(body);
+    } else if (statusCode === 404) {
+      return null;
+    }
+    throw new Error(`HTTP ${statusCode}`);
+  }
+
+  async setOnPeer(peer, key, entry) {
+    const { statusCode } = await this.peerClient.request(
+      peer, 'PUT', `/_internal/kv/${encodeURIComponent(key)}`,
+      { body: this.serializeEntry(entry) }
+    );
+
+    if (statusCode !== 200) {
+      throw new Error(`HTTP ${statusCode}`);
+    }
+    return true;
+  }
+
+  // Entries (tombstones included) a peer holds for the given keys, as a Map
+  // of key -> entry; keys the peer doesn't have are absent
+  async getManyFromPeer(peer, keys) {
+    const { statusCode, body } = await this.peerClient.request(
+      peer, 'POST', '/_internal/kv/_mget', { body: { keys } }
+    );
+
+    if (statusCode !== 200) {
+      throw new Error(`HTTP ${statusCode}`);
+    }
+    return new Map(Object.entries(body.entries || {}).map(([key, entry]) => [key, this.deserializeEntry(entry)]));
+  }
+
+  async scanPeer(peer, options) {
+    const { statusCode, body } = await this.peerClient.request(
+      peer, 'POST', '/_internal/kv/_scan', { body: options }
+    );
+
+    if (statusCode !== 200) {
+      throw new Error(`HTTP ${statusCode}`);
+    }
+    return {
+      entries: body.entries.map(item => ({ key: item.key, entry: this.deserializeEntry(item) })),
+      truncated: body.truncated
+    };
+  }
+
+  // Apply a batch of serialized entries ({ key, value, expiresAt, version,
+  // deleted }) on a peer in one request
+  async setManyOnPeer(peer, entries) {
+    const { statusCode } = await this.peerClient.request(
+      peer, 'PUT', '/_internal/kv', { body: { entries } }
+    );
+
+    if (statusCode !== 200) {
+      throw new Error(`HTTP ${statusCode}`);
+    }
+    return true;
+  }
+
+  async touchOnPeer(peer, key, expiresAt, version) {
+    const { statusCode } = await this.peerClient.request(
+      peer, 'PATCH', `/_internal/kv/${encodeURIComponent(key)}`,
+      { body: { expiresAt, version: formatVersion(version) } }
+    );
+
+    // A replica that never received the key has nothing to extend, so it
+    // doesn't acknowledge the touch
+    if (statusCode === 404) {
+      throw new Error('Key not found on replica');
+    }
+    if (statusCode !== 200) {
+      throw new Error(`HTTP ${statusCode}`);
+    }
+    return true;
+  }
+
+  async deleteFromPeer(peer, key, tombstone) {
+    const { statusCode } = await this.peerClient.request(
+      peer, 'DELETE', `/_internal/kv/${encodeURIComponent(key)}`,
+      { body: this.serializeEntry(tombstone) }
+    );
+
+    if (statusCode !== 200) {
+      throw new Error(`HTTP ${statusCode}`);
+    }
+    return true;
+  }
+
+  // Number of keys a peer is primary owner for, for the key quota
+  async getUsageFromPeer(peer) {
+    const { statusCode, body } = await this.peerClient.request(peer, 'GET', '/_internal/usage');
+
+    if (statusCode !== 200) {
+      throw new Error(`HTTP ${statusCode}`);
+    }
+    return body.primaryKeys;
+  }
+
+  // Versions of every key a peer holds, as a Map of key -> parsed version
+  async getVersionsFromPeer(peer) {
+    const { statusCode, body } = await this.peerClient.request(peer, 'GET', '/_internal/kv');
+
+    if (statusCode === 200) {
+      return new Map(Object.entries(body.versions || {}).map(([key, version]) => [key, parseVersion(version)]));
+    }
+    return new Map();
+  }
+
+  // Pull the keys this pod is responsible for from a peer. Resolves with
+  // { pulled, ok } where ok is false if the peer couldn't be listed.
   async syncWithPeer(peer) {
+    let pulled = 0;
+
     try {
-      const peerKeys = await this.getKeysFromPeer(peer);
+      const peerVersions = await this.getVersionsFromPeer(peer);
       this.logger.info({ 
-        keyCount: peerKeys.length, 
+        keyCount: peerVersions.size, 
         peerName: peer.name 
       }, 'Syncing keys with peer');
       
-      // Sync keys that we should be responsible for
-      for (const key of peerKeys) {
-        if (this.isResponsibleForKey(key) && !this.cache.has(key)) {
-          try {
-            const value = await this.getFromPeer(peer, key);
-            if (value !== null) {
-              this.cache.set(key, value);
-            }
-          } catch (error) {
-            this.logger.warn({ 
-              err: error, 
-              key, 
-              peerName: peer.name 
-            }, 'Failed to sync key');
+      // Pull keys we are responsible for where the peer holds a newer version
+      for (const [key, version] of peerVersions) {
+        if (!this.isResponsibleForKey(key)) continue;
+
+        const local = this.cache.peek(key);
+        if (local && compareVersions(local.version, version) >= 0) continue;
+
+        try {
+          const entry = await this.getFromPeer(peer, key);
+          if (entry !== null && this.applyEntry(key, entry)) {
+            pulled++;
           }
+        } catch (error) {
+          this.logger.warn({ 
+            err: error, 
+            key, 
+            peerName: peer.name 
+          }, 'Failed to sync key');
         }
       }
     } catch (error) {
@@ -334,43 +1284,138 @@ class KVCache {
         err: error, 
         peerName: peer.name 
       }, 'Failed to sync with peer');
+      return { pulled, ok: false };
     }
+
+    return { pulled, ok: true };
   }
 
-  async redistributeKeys() {
-    // When peers leave, redistribute keys to maintain replication factor
-    const keys = Array.from(this.cache.keys());
+  async redistributeKeys(previousRing) {
+    // When membership changes, push keys we own to nodes that just became
+    // replicas, tombstones included so they don't miss a delete
+    const keys = this.cache.keys({ includeTombstones: true });
     
     for (const key of keys) {
-      const responsible = this.getResponsiblePeers(key);
-      const currentReplicas = responsible.length;
-      
-      if (currentReplicas < this.replicationFactor) {
-        // Need to create more replicas
-        const value = this.cache.get(key);
-        for (const peer of responsible) {
-          try {
-            await this.setOnPeer(peer, key, value);
-          } catch (error) {
-            this.logger.warn({ 
-              err: error, 
-              key, 
-              peerName: peer.name 
-            }, 'Failed to redistribute key');
-          }
+      if (!this.isResponsibleForKey(key)) continue;
+
+      const previousOwners = new Set(
+        previousRing.getNodes(key, this.replicationFactor).map(node => node.name)
+      );
+      const entry = this.cache.peek(key);
+      if (!entry) continue;
+
+      for (const peer of this.getRemoteReplicas(key)) {
+        if (previousOwners.has(peer.name)) continue;
+
+        try {
+          await this.setOnPeer(peer, key, entry);
+        } catch (error) {
+          this.logger.warn({ 
+            err: error, 
+            key, 
+            peerName: peer.name 
+          }, 'Failed to redistribute key');
+        }
+      }
+    }
+  }
+
+  // Stream every key this pod replicates (tombstones included) to the nodes
+  // that become its replicas once this pod has left the ring. Nodes that
+  // already replicate a key are skipped. Used when draining before shutdown.
+  async handoff() {
+    const successor = new HashRing(this.virtualNodes);
+    successor.setNodes(this.discovery.getPeers());
+    const batches = new Map();
+
+    for (const key of this.cache.keys({ includeTombstones: true })) {
+      if (!this.isResponsibleForKey(key)) continue;
+
+      let entry = this.cache.peek(key);
+      if (!entry) continue;
+
+      // A passed-on lease is a new version that replicas which already
+      // hold the lock need as well
+      const lease = isLockKey(key) ? this.passLease(key, entry, successor) : null;
+      entry = lease || entry;
+
+      const current = new Set(this.getResponsiblePeers(key).map(node => node.name));
+      for (const node of successor.getNodes(key, this.replicationFactor)) {
+        if (current.has(node.name) && !lease) continue;
+
+        if (!batches.has(node.name)) {
+          batches.set(node.name, { peer: node, entries: [] });
+        }
+        batches.get(node.name).entries.push({ key, ...this.serializeEntry(entry) });
+      }
+    }
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const { peer, entries } of batches.values()) {
+      for (let i = 0; i < entries.length; i += HANDOFF_BATCH_SIZE) {
+        const batch = entries.slice(i, i + HANDOFF_BATCH_SIZE);
+
+        try {
+          await this.setManyOnPeer(peer, batch);
+          sent += batch.length;
+        } catch (error) {
+          this.logger.warn({ 
+            err: error, 
+            peerName: peer.name, 
+            keys: batch.length 
+          }, 'Failed to hand off keys to peer');
+          failed += batch.length;
         }
       }
     }
+
+    this.metrics.recordHandoff('sent', sent);
+    this.metrics.recordHandoff('failed', failed);
+    return { sent, failed };
+  }
+
+  // A lease lapses once the pod that granted it is gone, which a drain
+  // shouldn't cause: a lease this pod granted is re-granted in the name of
+  // the lock's primary owner after the drain, so it runs until its ttl.
+  // Returns the new entry, or null when there is no such lease.
+  passLease(key, entry, successor) {
+    const state = entry.value;
+    if (entry.tombstone || state.grantedBy !== this.localNode.name) return null;
+    if (state.owner === null || leaseLapse(state, Date.now(), name => this.isMember(name)) !== null) return null;
+
+    const [primary] = successor.getNodes(key, 1);
+    if (!primary) return null;
+
+    return this.cache.set(key, { ...state, grantedBy: primary.name }, {
+      expiresAt: entry.expiresAt,
+      version: this.clock.now(),
+      owned: entry.owned
+    });
   }
 
   getPeers() {
     return this.discovery.getPeers();
   }
 
+  stop() {
+    this.cache.stopSweeper();
+    clearInterval(this.hintReplayInterval);
+  }
+
   getCacheSize() {
     return this.cache.size;
   }
 
+  getCacheUsage() {
+    return this.cache.getUsage();
+  }
+
+  getHintCount() {
+    return this.hints.size;
+  }
+
   getRequestRate() {
     // Simple request rate calculation based on recent activity
     const now = Date.now();
@@ -394,4 +1439,5 @@ class KVCache {
   }
 }
 
-module.exports = KVCache;
\ No newline at end of file
+module.exports = KVCache;
+module.exports.HANDOFF_BATCH_SIZE = HANDOFF_BATCH_SIZE;
\ No newline at end of file
@@ -0,0 +1,442 @@
+// Min-heap of { expiresAt, key } used by the expiry sweeper. Entries are never
+// removed eagerly: when a key is overwritten or deleted its old heap item
+// simply no longer matches the stored entry and is skipped when popped.
+class ExpiryQueue {
+  constructor() {
+    this.items = [];
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  push(item) {
+    this.items.push(item);
+    let i = this.items.length - 1;
+
+    while (i > 0) {
+      const parent = (i - 1) >>> 1;
+      if (this.items[parent].expiresAt <= this.items[i].expiresAt) break;
+      [this.items[parent], this.items[i]] = [this.items[i], this.items[parent]];
+      i = parent;
+    }
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let i = 0;
+
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+
+        if (left < this.items.length && this.items[left].expiresAt < this.items[smallest].expiresAt) {
+          smallest = left;
+        }
+        if (right < this.items.length && this.items[right].expiresAt < this.items[smallest].expiresAt) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+
+        [this.items[smallest], this.items[i]] = [this.items[i], this.items[smallest]];
+        i = smallest;
+      }
+    }
+
+    return top;
+  }
+
+  clear() {
+    this.items = [];
+  }
+}
+
+const EVICTION_POLICIES = ['lru', 'lfu', 'ttl'];
+
+// How many of the least recently used entries are compared when picking an
+// eviction victim. Like Redis, LFU and TTL-first are approximated over this
+// sample instead of keeping a fully ordered index per policy.
+const EVICTION_SAMPLE_SIZE = 16;
+
+// Approximate memory footprint of an entry: key plus serialized value
+const entrySize = (key, value) => {
+  const serialized = value === undefined ? '' : JSON.stringify(value);
+  return Buffer.byteLength(key) + Buffer.byteLength(serialized || '');
+};
+
+// Index of the first element of a sorted array that is greater than `key`
+// (or not lower, with `inclusive`)
+const lowerBound = (sorted, key, inclusive) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (sorted[mid] < key || (!inclusive && sorted[mid] === key)) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+// Local key/value storage for a single pod. Entries are
+// { value, expiresAt, version, owned, tombstone, size, hits, storedAt } where
+// expiresAt is an absolute epoch-millisecond timestamp or null, and owned is
+// false for opportunistic near-cache copies of keys this pod is not a replica
+// for. storedAt is when the entry was written or became a near-cache copy,
+// which tells how old a near-cache copy is.
+//
+// A tombstone records a delete: it has no value, keeps the delete's version so
+// an older write can't resurrect the key, and expires when its garbage
+// collection grace period ends. peek/get return tombstones, keys() skips them.
+//
+// `entries` is kept in least-recently-used order (oldest first); near-cache
+// keys are additionally tracked in `nearKeys` so they can be evicted before
+// any owned replica. Tombstones are never evicted, since dropping one before
+// its grace period ends would let sync or repair bring the deleted value
+// back; they don't count towards the limits and are bounded by the grace
+// period instead. Keys under one of `indexedPrefixes` are also kept in a
+// set per prefix, so a small reserved keyspace can be walked without sorting
+// every key.
+class LocalStore {
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.nearKeys = new Set();
+    this.tombstoneKeys = new Set();
+    this.prefixKeys = new Map((options.indexedPrefixes || []).map(prefix => [prefix, new Set()]));
+    this.bytes = 0;
+    this.tombstoneBytes = 0;
+    this.sortedIndex = [];
+    this.expiryQueue = new ExpiryQueue();
+    this.maxEntries = options.maxEntries || 0;
+    this.maxBytes = options.maxBytes || 0;
+    this.evictionPolicy = options.evictionPolicy || 'lru';
+    this.onExpire = options.onExpire || (() => {});
+    this.onEvict = options.onEvict || (() => {});
+    this.sweepInterval = null;
+
+    if (!EVICTION_POLICIES.includes(this.evictionPolicy)) {
+      throw new Error(`Invalid eviction policy: ${this.evictionPolicy}. Valid policies: ${EVICTION_POLICIES.join(', ')}`);
+    }
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return entry.expiresAt !== null && entry.expiresAt <= now;
+  }
+
+  has(key) {
+    return this.peek(key) !== null;
+  }
+
+  // Returns the live entry for a key without counting it as an access
+  peek(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (this.isExpired(entry)) {
+      this.expire(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // Returns the live entry for a key, expiring it lazily if its time has
+  // passed, and records the access for the eviction policy
+  get(key) {
+    const entry = this.peek(key);
+    if (!entry) return null;
+
+    entry.hits++;
+    this.markUsed(key, entry);
+    return entry;
+  }
+
+  set(key, value, { expiresAt = null, version = null, owned = true, tombstone = false } = {}) {
+    const previous = this.entries.get(key);
+    const entry = {
+      value,
+      expiresAt,
+      version,
+      owned,
+      tombstone,
+      size: entrySize(key, value),
+      hits: previous ? previous.hits : 0,
+      storedAt: Date.now()
+    };
+
+    if (previous) {
+      this.detach(key);
+    } else {
+      this.sortedIndex.splice(lowerBound(this.sortedIndex, key, true), 0, key);
+    }
+    this.entries.set(key, entry);
+    this.bytes += entry.size;
+    if (!owned) {
+      this.nearKeys.add(key);
+    }
+    if (tombstone) {
+      this.tombstoneKeys.add(key);
+      this.tombstoneBytes += entry.size;
+    }
+    for (const [prefix, keys] of this.prefixKeys) {
+      if (key.startsWith(prefix)) keys.add(key);
+    }
+
+    this.schedule(key, entry);
+    this.enforceLimits();
+    return entry;
+  }
+
+  // Change the expiry (and version) of an existing entry; returns false if the
+  // key is absent
+  touch(key, expiresAt, version = null) {
+    const entry = this.peek(key);
+    if (!entry) return false;
+
+    entry.expiresAt = expiresAt;
+    if (version) {
+      entry.version = version;
+    }
+    this.schedule(key, entry);
+    return true;
+  }
+
+  // Promote a near-cache copy to an owned replica or demote it, e.g. after
+  // ring membership changes
+  setOwned(key, owned) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.owned === owned) return;
+
+    entry.owned = owned;
+    if (owned) {
+      this.nearKeys.delete(key);
+    } else {
+      this.nearKeys.add(key);
+      entry.storedAt = Date.now();
+    }
+  }
+
+  delete(key) {
+    return this.remove(key);
+  }
+
+  keys({ includeTombstones = false } = {}) {
+    const now = Date.now();
+    const keys = [];
+
+    for (const [key, entry] of this.entries) {
+      if (!this.isExpired(entry, now) && (includeTombstones || !entry.tombstone)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  // Keys in sorted order starting after `key` (or at it, with `inclusive`),
+  // tombstones included; expired entries may not have been swept yet, so
+  // callers still peek. The sorted index is kept up to date as keys are added
+  // and removed. Each step looks the next key up again, so keys removed while
+  // iterating (e.g. expired by a peek) don't make it skip any.
+  *sortedKeysFrom(key, inclusive = false) {
+    let index = lowerBound(this.sortedIndex, key, inclusive);
+    while (index < this.sortedIndex.length) {
+      const next = this.sortedIndex[index];
+      yield next;
+      index = lowerBound(this.sortedIndex, next, false);
+    }
+  }
+
+  // Keys under one of `indexedPrefixes`, tombstones and expired entries not
+  // yet swept included
+  keysWithPrefix(prefix) {
+    return [...this.prefixKeys.get(prefix)];
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // Live entry counts split by owned replicas vs near-cache copies, plus
+  // tombstones and bytes
+  getUsage() {
+    let nearTombstones = 0;
+    for (const key of this.tombstoneKeys) {
+      if (this.nearKeys.has(key)) nearTombstones++;
+    }
+
+    return {
+      owned: this.entries.size - this.nearKeys.size - (this.tombstoneKeys.size - nearTombstones),
+      near: this.nearKeys.size - nearTombstones,
+      tombstones: this.tombstoneKeys.size,
+      bytes: this.bytes
+    };
+  }
+
+  remove(key) {
+    if (!this.detach(key)) return false;
+
+    this.sortedIndex.splice(lowerBound(this.sortedIndex, key, true), 1);
+    return true;
+  }
+
+  // Drop an entry's bookkeeping, e.g. before it is replaced
+  detach(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+
+    this.entries.delete(key);
+    this.nearKeys.delete(key);
+    if (this.tombstoneKeys.delete(key)) {
+      this.tombstoneBytes -= entry.size;
+    }
+    for (const keys of this.prefixKeys.values()) {
+      keys.delete(key);
+    }
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  // Move a key to the most recently used end
+  markUsed(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    if (!entry.owned) {
+      this.nearKeys.delete(key);
+      this.nearKeys.add(key);
+    }
+  }
+
+  isOverLimit() {
+    return (this.maxEntries > 0 && this.entries.size - this.tombstoneKeys.size > this.maxEntries) ||
+      (this.maxBytes > 0 && this.bytes - this.tombstoneBytes > this.maxBytes);
+  }
+
+  enforceLimits() {
+    while (this.isOverLimit()) {
+      const key = this.selectVictim();
+      if (key === null) break;
+      const entry = this.entries.get(key);
+      this.remove(key);
+      this.onEvict(key, entry, this.evictionPolicy);
+    }
+  }
+
+  // Pick the entry to evict: near-cache copies always go before owned
+  // replicas, then the configured policy decides within the sample. Null
+  // when only tombstones are left.
+  selectVictim() {
+    return this.sampleVictim(this.nearKeys) || this.sampleVictim(this.entries.keys());
+  }
+
+  sampleVictim(candidates) {
+    let victim = null;
+    let victimEntry = null;
+    let sampled = 0;
+    const skipped = [];
+
+    for (const key of candidates) {
+      const entry = this.entries.get(key);
+      if (entry.tombstone) {
+        skipped.push([key, entry]);
+        continue;
+      }
+
+      if (victim === null || this.isBetterVictim(entry, victimEntry)) {
+        victim = key;
+        victimEntry = entry;
+      }
+
+      // LRU is exact: the first candidate is the least recently used
+      if (this.evictionPolicy === 'lru' || ++sampled >= EVICTION_SAMPLE_SIZE) break;
+    }
+
+    // Move skipped tombstones to the recent end so later evictions don't
+    // walk past them again
+    for (const [key, entry] of skipped) {
+      this.markUsed(key, entry);
+    }
+    return victim;
+  }
+
+  isBetterVictim(entry, current) {
+    if (this.evictionPolicy === 'lfu') {
+      return entry.hits < current.hits;
+    }
+    if (this.evictionPolicy === 'ttl') {
+      const expiresAt = entry.expiresAt === null ? Infinity : entry.expiresAt;
+      const currentExpiresAt = current.expiresAt === null ? Infinity : current.expiresAt;
+      return expiresAt < currentExpiresAt;
+    }
+    return false;
+  }
+
+  schedule(key, entry) {
+    if (entry.expiresAt === null) return;
+
+    this.expiryQueue.push({ expiresAt: entry.expiresAt, key });
+
+    // Rebuild the queue when stale items from overwritten keys pile up
+    if (this.expiryQueue.length > 2 * this.entries.size + 1024) {
+      this.compact();
+    }
+  }
+
+  compact() {
+    this.expiryQueue.clear();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null) {
+        this.expiryQueue.push({ expiresAt: entry.expiresAt, key });
+      }
+    }
+  }
+
+  expire(key) {
+    const entry = this.entries.get(key);
+    this.remove(key);
+    this.onExpire(key, entry);
+  }
+
+  // Remove every entry whose expiry has passed. Only the due part of the heap
+  // is visited, so the cost is proportional to the number of expired keys.
+  sweep(now = Date.now()) {
+    let expired = 0;
+
+    while (this.expiryQueue.length > 0 && this.expiryQueue.peek().expiresAt <= now) {
+      const { expiresAt, key } = this.expiryQueue.pop();
+      const entry = this.entries.get(key);
+
+      // Skip items left behind by overwrites, touches and deletes
+      if (entry && entry.expiresAt === expiresAt) {
+        this.expire(key);
+        expired++;
+      }
+    }
+
+    return expired;
+  }
+
+  startSweeper(intervalMs) {
+    this.sweepInterval = setInterval(() => this.sweep(), intervalMs);
+    this.sweepInterval.unref();
+  }
+
+  stopSweeper() {
+    if (this.sweepInterval) {
+      clearInterval(this.sweepInterval);
+    }
+  }
+}
+
+module.exports = LocalStore;
+module.exports.EVICTION_POLICIES = EVICTION_POLICIES;
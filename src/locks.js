@@ -0,0 +1,127 @@
+// Locks are stored as ordinary replicated entries under a reserved key
+// prefix, so they reach replicas, survive restarts and move on drain like any
+// other key. The /kv routes refuse keys with this prefix.
+const LOCK_KEY_PREFIX = '__lock/';
+
+// Consistency level for reading and writing lock state: a quorum of the
+// replicas the lock has right now rather than of the replication factor, so a
+// lone surviving replica can still serve it (see KVCache.requiredAcks)
+const LOCK_CONSISTENCY = 'lock';
+
+// How often each pod releases the lapsed leases it is primary owner for
+const LOCK_SWEEP_INTERVAL_MS = 5000;
+
+const lockKey = (name) => `${LOCK_KEY_PREFIX}${name}`;
+
+const isLockKey = (key) => key.startsWith(LOCK_KEY_PREFIX);
+
+// Why the lease recorded in `state` ({ owner, token, expiresAt, grantedBy })
+// no longer holds the lock: 'expired' once its time is up, 'coordinator_lost'
+// once the pod that granted or last renewed it has left the cluster without
+// draining (a draining pod passes its leases on, see KVCache.passLease). Null
+// while the lease holds or when nothing is held.
+const leaseLapse = (state, now, isMember) => {
+  if (!state || state.owner === null) return null;
+  if (state.expiresAt <= now) return 'expired';
+  if (!isMember(state.grantedBy)) return 'coordinator_lost';
+  return null;
+};
+
+// Leases on named locks. Every transition runs at the primary owner of the
+// lock's key (see KVCache.leaseOperation), which hands out fencing tokens
+// that only ever increase: a holder passes its token along with every write
+// it makes under the lock, and the protected resource refuses tokens lower
+// than the highest it has seen.
+class Locks {
+  constructor(kvCache, logger, metrics) {
+    this.kvCache = kvCache;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.interval = null;
+  }
+
+  start() {
+    this.interval = setInterval(() => this.sweep(), LOCK_SWEEP_INTERVAL_MS);
+    this.interval.unref();
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  async acquire(name, { owner, ttl }) {
+    return this.run('acquire', name, { owner, ttl });
+  }
+
+  async renew(name, { owner, token, ttl }) {
+    return this.run('renew', name, { owner, token, ttl });
+  }
+
+  async release(name, { owner, token }) {
+    return this.run('release', name, { owner, token });
+  }
+
+  // Current lease of a lock, read at quorum like the transitions
+  async get(name) {
+    const entry = await this.kvCache.get(lockKey(name), { consistency: LOCK_CONSISTENCY });
+    const state = entry ? entry.value : null;
+    const held = state !== null && state.owner !== null &&
+      leaseLapse(state, Date.now(), node => this.kvCache.isMember(node)) === null;
+
+    return held ? this.formatLease(name, state) : { name, held: false, token: state ? state.token : null };
+  }
+
+  async run(op, name, args) {
+    try {
+      const entry = await this.kvCache.executeAtPrimary(op, lockKey(name), args);
+      this.metrics.recordLockOperation(op, 'success');
+      return this.formatLease(name, entry.value);
+    } catch (error) {
+      // 409: held by someone else (acquire) or no longer held (renew, release)
+      this.metrics.recordLockOperation(op, error.statusCode === 409 ? 'conflict' : 'error');
+      throw error;
+    }
+  }
+
+  formatLease(name, state) {
+    if (state.owner === null) {
+      return { name, held: false, token: state.token };
+    }
+    return {
+      name,
+      held: true,
+      owner: state.owner,
+      token: state.token,
+      ttl: Math.max(0, Math.ceil((state.expiresAt - Date.now()) / 1000)),
+      expiresAt: new Date(state.expiresAt).toISOString()
+    };
+  }
+
+  // Release leases that expired or whose coordinator is gone, so they are
+  // counted and freed even if nobody tries to take the lock again
+  async sweep() {
+    const now = Date.now();
+
+    for (const key of this.kvCache.localLockKeys()) {
+      const entry = this.kvCache.peekLocal(key);
+      if (!entry || entry.tombstone) continue;
+      if (!leaseLapse(entry.value, now, node => this.kvCache.isMember(node))) continue;
+
+      try {
+        await this.kvCache.executeAtPrimary('expire', key, {});
+      } catch (error) {
+        this.logger.warn({ err: error, key }, 'Failed to release lapsed lease');
+      }
+    }
+  }
+}
+
+module.exports = Locks;
+module.exports.LOCK_KEY_PREFIX = LOCK_KEY_PREFIX;
+module.exports.LOCK_CONSISTENCY = LOCK_CONSISTENCY;
+module.exports.lockKey = lockKey;
+module.exports.isLockKey = isLockKey;
+module.exports.leaseLapse = leaseLapse;
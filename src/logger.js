@@ -3,6 +3,9 @@ const pino = require('pino');
 // Global logger registry for dynamic level management
 const loggerRegistry = new Map();
 
+// Request headers carrying credentials, masked in logs and /diag
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'];
+
 // Create structured logger with tenant context
 const createLogger = (tenant) => {
   const logger = pino({
@@ -22,6 +25,10 @@ const createLogger = (tenant) => {
       podIP: process.env.POD_IP || 'unknown'
     },
     timestamp: pino.stdTimeFunctions.isoTime,
+    redact: {
+      paths: REDACTED_HEADERS.map(header => `req.headers["${header}"]`),
+      censor: '[REDACTED]'
+    },
     serializers: {
       req: pino.stdSerializers.req,
       res: pino.stdSerializers.res,
@@ -87,5 +94,6 @@ module.exports = {
   createChildLogger, 
   getLogLevels, 
   setLogLevel, 
-  getLoggerModules 
+  getLoggerModules,
+  REDACTED_HEADERS
 };
\ No newline at end of file
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// HMAC-SHA256 signatures for discovery messages and, with a different
+// context, peer requests. The signing key is derived from the shared secret,
+// the context and the tenant, so a message signed for one tenant never
+// verifies for another even where the same secret is reused. Every
+// signed message carries a timestamp and a random nonce: messages outside the
+// allowed clock skew are refused, and a nonce seen within that window is a
+// replay.
+//
+// Without a secret the signer is disabled: messages go out unsigned and
+// everything is accepted, as before discovery was authenticated.
+class MessageSigner {
+  constructor(secret, tenant, options = {}) {
+    this.enabled = Boolean(secret);
+    this.key = this.enabled
+      ? crypto.createHmac('sha256', secret).update(`${options.context || 'kv-discovery'}:${tenant}`).digest()
+      : null;
+    this.maxClockSkewMs = options.maxClockSkewMs || 30000;
+    // nonce -> time after which it can be forgotten
+    this.seenNonces = new Map();
+  }
+
+  // Reads the secret from a file mounted from a Kubernetes Secret; an empty
+  // path disables signing
+  static fromFile(file, tenant, options) {
+    const secret = file ? fs.readFileSync(file, 'utf8').trim() : '';
+    return new MessageSigner(secret, tenant, options);
+  }
+
+  signature(message) {
+    return crypto.createHmac('sha256', this.key).update(JSON.stringify(message)).digest('hex');
+  }
+
+  // Message with timestamp, nonce and signature added
+  sign(message, now = Date.now()) {
+    if (!this.enabled) return message;
+
+    const signed = { ...message, timestamp: now, nonce: crypto.randomBytes(16).toString('hex') };
+    return { ...signed, signature: this.signature(signed) };
+  }
+
+  // Returns null for an acceptable message, otherwise why it was refused:
+  // unsigned, bad_signature, expired or replayed
+  verify(message, now = Date.now()) {
+    if (!this.enabled) return null;
+
+    const { signature, ...signed } = message;
+    if (typeof signature !== 'string' || typeof signed.nonce !== 'string') {
+      return 'unsigned';
+    }
+
+    const expected = Buffer.from(this.signature(signed), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return 'bad_signature';
+    }
+
+    if (!Number.isFinite(signed.timestamp) || Math.abs(now - signed.timestamp) > this.maxClockSkewMs) {
+      return 'expired';
+    }
+
+    this.pruneNonces(now);
+    if (this.seenNonces.has(signed.nonce)) {
+      return 'replayed';
+    }
+    // Anything older than the skew window is refused as expired, so a nonce
+    // only has to be remembered until its message would have expired anyway
+    this.seenNonces.set(signed.nonce, signed.timestamp + this.maxClockSkewMs);
+    return null;
+  }
+
+  // Nonces arrive roughly in timestamp order, so stop at the first one still
+  // needed; the few that are out of order are forgotten a little later
+  pruneNonces(now) {
+    for (const [nonce, forgetAt] of this.seenNonces) {
+      if (forgetAt >= now) break;
+      this.seenNonces.delete(nonce);
+    }
+  }
+}
+
+module.exports = MessageSigner;
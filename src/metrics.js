@@ -42,6 +42,41 @@ class MetricsCollector {
       registers: [this.register]
     });
 
+    this.cacheExpirations = new client.Counter({
+      name: 'kv_cache_expirations_total',
+      help: 'Total number of keys removed because their TTL elapsed',
+      labelNames: ['tenant'],
+      registers: [this.register]
+    });
+
+    this.cacheEvictions = new client.Counter({
+      name: 'kv_cache_evictions_total',
+      help: 'Total number of keys evicted to stay within memory limits',
+      labelNames: ['tenant', 'policy', 'kind'],
+      registers: [this.register]
+    });
+
+    this.cacheEntries = new client.Gauge({
+      name: 'kv_cache_entries',
+      help: 'Number of keys in local cache by kind (owned replica or near-cache copy)',
+      labelNames: ['tenant', 'kind'],
+      registers: [this.register]
+    });
+
+    this.cacheBytes = new client.Gauge({
+      name: 'kv_cache_bytes',
+      help: 'Approximate bytes of keys and values held in local cache',
+      labelNames: ['tenant'],
+      registers: [this.register]
+    });
+
+    this.tombstones = new client.Gauge({
+      name: 'kv_tombstones',
+      help: 'Number of delete tombstones held in local cache until garbage collection',
+      labelNames: ['tenant'],
+      registers: [this.register]
+    });
+
     this.peersCount = new client.Gauge({
       name: 'kv_peers_count',
       help: 'Number of discovered peers',
@@ -49,6 +84,13 @@ class MetricsCollector {
       registers: [this.register]
     });
 
+    this.peerStates = new client.Gauge({
+      name: 'kv_peers',
+      help: 'Number of known peers by membership state',
+      labelNames: ['tenant', 'state'],
+      registers: [this.register]
+    });
+
     this.discoveryMessages = new client.Counter({
       name: 'kv_discovery_messages_total',
       help: 'Total number of discovery messages',
@@ -56,6 +98,55 @@ class MetricsCollector {
       registers: [this.register]
     });
 
+    this.authFailures = new client.Counter({
+      name: 'kv_auth_failures_total',
+      help: 'Client requests refused by authentication or authorization',
+      labelNames: ['tenant', 'reason'],
+      registers: [this.register]
+    });
+
+    this.requestsRejected = new client.Counter({
+      name: 'kv_requests_rejected_total',
+      help: 'Client requests refused by size limits, the key quota or rate limiting',
+      labelNames: ['tenant', 'reason'],
+      registers: [this.register]
+    });
+
+    this.clusterKeys = new client.Gauge({
+      name: 'kv_cluster_keys',
+      help: 'Estimated number of live keys across the cluster, as used for the key quota',
+      labelNames: ['tenant'],
+      registers: [this.register]
+    });
+
+    this.lockOperations = new client.Counter({
+      name: 'kv_lock_operations_total',
+      help: 'Lock acquire, renew and release requests by result (conflict on acquire means contention)',
+      labelNames: ['tenant', 'operation', 'result'],
+      registers: [this.register]
+    });
+
+    this.lockExpirations = new client.Counter({
+      name: 'kv_lock_expirations_total',
+      help: 'Leases that ended without a release, because they expired or the pod coordinating them left',
+      labelNames: ['tenant', 'reason'],
+      registers: [this.register]
+    });
+
+    this.peerAuthFailures = new client.Counter({
+      name: 'kv_peer_auth_failures_total',
+      help: 'Internal requests and TLS handshakes rejected by peer authentication',
+      labelNames: ['tenant', 'reason'],
+      registers: [this.register]
+    });
+
+    this.discoveryMessagesDropped = new client.Counter({
+      name: 'kv_discovery_messages_dropped_total',
+      help: 'Discovery messages dropped because they failed authentication',
+      labelNames: ['tenant', 'reason'],
+      registers: [this.register]
+    });
+
     this.replicationOperations = new client.Counter({
       name: 'kv_replication_operations_total',
       help: 'Total number of replication operations',
@@ -63,6 +154,41 @@ class MetricsCollector {
       registers: [this.register]
     });
 
+    this.keysRepaired = new client.Counter({
+      name: 'kv_keys_repaired_total',
+      help: 'Total number of stale or missing replicas repaired',
+      labelNames: ['tenant', 'source'],
+      registers: [this.register]
+    });
+
+    this.antiEntropyRounds = new client.Counter({
+      name: 'kv_anti_entropy_rounds_total',
+      help: 'Total number of anti-entropy exchanges with co-replicas',
+      labelNames: ['tenant', 'result'],
+      registers: [this.register]
+    });
+
+    this.hintsQueued = new client.Gauge({
+      name: 'kv_hints_queued',
+      help: 'Number of hinted writes waiting for an unreachable replica',
+      labelNames: ['tenant'],
+      registers: [this.register]
+    });
+
+    this.hintReplays = new client.Counter({
+      name: 'kv_hint_replays_total',
+      help: 'Total number of hinted writes by outcome',
+      labelNames: ['tenant', 'result'],
+      registers: [this.register]
+    });
+
+    this.handoffKeys = new client.Counter({
+      name: 'kv_handoff_keys_total',
+      help: 'Total number of keys streamed to new owners while draining',
+      labelNames: ['tenant', 'result'],
+      registers: [this.register]
+    });
+
     this.uptime = new client.Gauge({
       name: 'kv_uptime_seconds',
       help: 'Service uptime in seconds',
@@ -100,10 +226,31 @@ class MetricsCollector {
     this.cacheSize.set({ tenant: this.tenant }, size);
   }
 
+  recordExpiration() {
+    this.cacheExpirations.inc({ tenant: this.tenant });
+  }
+
+  recordEviction(policy, kind) {
+    this.cacheEvictions.inc({ tenant: this.tenant, policy, kind });
+  }
+
+  updateCacheUsage({ owned, near, tombstones, bytes }) {
+    this.cacheEntries.set({ tenant: this.tenant, kind: 'owned' }, owned);
+    this.cacheEntries.set({ tenant: this.tenant, kind: 'near' }, near);
+    this.tombstones.set({ tenant: this.tenant }, tombstones);
+    this.cacheBytes.set({ tenant: this.tenant }, bytes);
+  }
+
   updatePeersCount(count) {
     this.peersCount.set({ tenant: this.tenant }, count);
   }
 
+  updatePeerStates(counts) {
+    for (const [state, count] of Object.entries(counts)) {
+      this.peerStates.set({ tenant: this.tenant, state }, count);
+    }
+  }
+
   recordDiscoveryMessage(type, direction) {
     this.discoveryMessages.inc({
       tenant: this.tenant,
@@ -112,6 +259,34 @@ class MetricsCollector {
     });
   }
 
+  recordDiscoveryMessageDropped(reason) {
+    this.discoveryMessagesDropped.inc({ tenant: this.tenant, reason });
+  }
+
+  recordAuthFailure(reason) {
+    this.authFailures.inc({ tenant: this.tenant, reason });
+  }
+
+  recordRequestRejected(reason) {
+    this.requestsRejected.inc({ tenant: this.tenant, reason });
+  }
+
+  updateClusterKeys(count) {
+    this.clusterKeys.set({ tenant: this.tenant }, count);
+  }
+
+  recordLockOperation(operation, result) {
+    this.lockOperations.inc({ tenant: this.tenant, operation, result });
+  }
+
+  recordLockExpiration(reason) {
+    this.lockExpirations.inc({ tenant: this.tenant, reason });
+  }
+
+  recordPeerAuthFailure(reason) {
+    this.peerAuthFailures.inc({ tenant: this.tenant, reason });
+  }
+
   recordReplicationOperation(operation, result) {
     this.replicationOperations.inc({
       tenant: this.tenant,
@@ -120,6 +295,26 @@ class MetricsCollector {
     });
   }
 
+  recordKeyRepaired(source, count = 1) {
+    this.keysRepaired.inc({ tenant: this.tenant, source }, count);
+  }
+
+  recordAntiEntropyRound(result) {
+    this.antiEntropyRounds.inc({ tenant: this.tenant, result });
+  }
+
+  updateHintQueueDepth(count) {
+    this.hintsQueued.set({ tenant: this.tenant }, count);
+  }
+
+  recordHintReplay(result) {
+    this.hintReplays.inc({ tenant: this.tenant, result });
+  }
+
+  recordHandoff(result, count) {
+    this.handoffKeys.inc({ tenant: this.tenant, result }, count);
+  }
+
   getMetrics() {
     return this.register.metrics();
   }
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const MessageSigner = require('./message-signer');
+const { ORIGIN_HEADER, HOPS_HEADER } = require('./peer-client');
+
+// How often mounted certificate files are checked for changes. Kubernetes
+// takes up to a minute to project an updated Secret anyway.
+const CERT_CHECK_INTERVAL_MS = 10000;
+
+const TIMESTAMP_HEADER = 'x-kv-timestamp';
+const NONCE_HEADER = 'x-kv-nonce';
+const SIGNATURE_HEADER = 'x-kv-signature';
+
+// Authentication of traffic between pods on the internal listener, selected
+// with PEER_AUTH_MODE:
+//   none  plain HTTP, anyone who reaches the port can replicate
+//   hmac  plain HTTP; every request carries a timestamp, nonce and an HMAC
+//         over method, path, origin, hops and body, keyed per tenant
+//   mtls  HTTPS both ways with client certificates, both sides trusting only
+//         the configured CA. Pods are addressed by IP, so the peer's
+//         hostname isn't checked, only that its certificate chains to the CA.
+//         Certificates are reloaded when the mounted files change.
+//
+// The same object is used by the server (createServer, middleware) and by
+// every PeerClient (transport, agent, headers).
+class PeerAuth {
+  constructor(config, tenant, logger, metrics) {
+    this.mode = config.cluster.peerAuth.mode;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.tlsFiles = config.cluster.peerAuth.tls;
+    this.servers = [];
+    this.watching = false;
+
+    this.signer = this.mode === 'hmac'
+      ? MessageSigner.fromFile(config.cluster.peerAuth.secretFile, tenant, {
+        context: 'kv-peer',
+        maxClockSkewMs: config.cluster.peerAuth.maxClockSkewMs
+      })
+      : null;
+
+    if (this.mode === 'mtls') {
+      this.tlsOptions = this.readTlsFiles();
+      this.httpsAgent = this.createAgent();
+    }
+  }
+
+  get transport() {
+    return this.mode === 'mtls' ? https : http;
+  }
+
+  agent() {
+    return this.mode === 'mtls' ? this.httpsAgent : undefined;
+  }
+
+  // Headers signing an outgoing request; `headers` already holds the origin
+  // and hop headers
+  headers(method, path, headers, postData) {
+    if (this.mode !== 'hmac') return {};
+
+    const signed = this.signer.sign(this.signedFields(method, path, headers, postData));
+    return {
+      [TIMESTAMP_HEADER]: String(signed.timestamp),
+      [NONCE_HEADER]: signed.nonce,
+      [SIGNATURE_HEADER]: signed.signature
+    };
+  }
+
+  signedFields(method, path, headers, body) {
+    return {
+      method,
+      path,
+      origin: headers[ORIGIN_HEADER] || '',
+      hops: headers[HOPS_HEADER] || '',
+      body: crypto.createHash('sha256').update(body || '').digest('hex')
+    };
+  }
+
+  // Raw request bodies are needed to check signatures; pass as the `verify`
+  // option of express.json()
+  captureRawBody(req, res, buf) {
+    req.rawBody = buf;
+  }
+
+  // Rejects internal requests without a valid signature. Under mTLS the
+  // handshake has already refused unauthenticated clients.
+  middleware() {
+    return (req, res, next) => {
+      if (this.mode !== 'hmac') return next();
+
+      const fields = this.signedFields(req.method, req.originalUrl, req.headers, req.rawBody);
+      const refused = this.signer.verify({
+        ...fields,
+        timestamp: Number(req.get(TIMESTAMP_HEADER)),
+        nonce: req.get(NONCE_HEADER),
+        signature: req.get(SIGNATURE_HEADER)
+      });
+
+      if (refused) {
+        this.logger.warn({
+          reason: refused,
+          path: req.path,
+          remoteAddress: req.socket.remoteAddress
+        }, 'Rejected unauthenticated peer request');
+        this.metrics.recordPeerAuthFailure(refused);
+        return res.status(401).json({ error: 'Peer authentication failed' });
+      }
+      next();
+    };
+  }
+
+  // Server for the internal listener, HTTPS with client certificates under mTLS
+  createServer(app) {
+    if (this.mode !== 'mtls') {
+      return http.createServer(app);
+    }
+
+    const server = https.createServer({
+      ...this.tlsOptions,
+      requestCert: true,
+      rejectUnauthorized: true
+    }, app);
+    server.on('tlsClientError', (error, socket) => {
+      this.logger.warn({ err: error, remoteAddress: socket.remoteAddress }, 'Rejected peer TLS handshake');
+      this.metrics.recordPeerAuthFailure('tls');
+    });
+    this.servers.push(server);
+    return server;
+  }
+
+  readTlsFiles() {
+    return {
+      cert: fs.readFileSync(this.tlsFiles.certFile),
+      key: fs.readFileSync(this.tlsFiles.keyFile),
+      ca: fs.readFileSync(this.tlsFiles.caFile)
+    };
+  }
+
+  createAgent() {
+    return new https.Agent({
+      ...this.tlsOptions,
+      keepAlive: true,
+      checkServerIdentity: () => undefined
+    });
+  }
+
+  // Watch the certificate files and swap them in without a restart
+  start() {
+    if (this.mode !== 'mtls') return;
+
+    this.watching = true;
+    const files = [this.tlsFiles.certFile, this.tlsFiles.keyFile, this.tlsFiles.caFile];
+    files.forEach(file => fs.watchFile(file, { interval: CERT_CHECK_INTERVAL_MS }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        this.reload();
+      }
+    }));
+  }
+
+  reload() {
+    let tlsOptions;
+    try {
+      tlsOptions = this.readTlsFiles();
+      // Fails on a mismatched key or a half-written file; keep the old ones
+      tls.createSecureContext(tlsOptions);
+    } catch (error) {
+      this.logger.error({ err: error }, 'Failed to reload peer TLS certificates, keeping the current ones');
+      return;
+    }
+
+    this.tlsOptions = tlsOptions;
+    this.servers.forEach(server => server.setSecureContext({ ...tlsOptions }));
+
+    // New requests use the new certificates; pooled connections of the old
+    // agent are closed once any request still on them has had time to finish
+    const previous = this.httpsAgent;
+    this.httpsAgent = this.createAgent();
+    setTimeout(() => previous.destroy(), CERT_CHECK_INTERVAL_MS).unref();
+    this.logger.info('Reloaded peer TLS certificates');
+  }
+
+  stop() {
+    if (!this.watching) return;
+
+    [this.tlsFiles.certFile, this.tlsFiles.keyFile, this.tlsFiles.caFile]
+      .forEach(file => fs.unwatchFile(file));
+    this.watching = false;
+  }
+}
+
+module.exports = PeerAuth;
@@ -0,0 +1,80 @@
+const http = require('http');
+
+// Headers carried on every inter-pod request so the receiving side knows
+// where a replicated operation started and how far it has travelled
+const ORIGIN_HEADER = 'x-kv-origin';
+const HOPS_HEADER = 'x-kv-hops';
+
+class PeerClient {
+  constructor(localNode, logger, options = {}) {
+    this.localNode = localNode;
+    this.logger = logger;
+    this.timeout = options.timeout || 5000;
+    // PeerAuth signing requests or supplying TLS client certificates
+    this.auth = options.auth || null;
+  }
+
+  // Send a request to a peer's internal replication listener.
+  // Resolves with { statusCode, body } where body is the parsed JSON payload.
+  request(peer, method, path, { body, origin, hops = 0 } = {}) {
+    return new Promise((resolve, reject) => {
+      const postData = body !== undefined ? JSON.stringify(body) : null;
+      const headers = {
+        [ORIGIN_HEADER]: origin || this.localNode.name,
+        [HOPS_HEADER]: String(hops + 1)
+      };
+
+      if (postData !== null) {
+        headers['Content-Type'] = 'application/json';
+        headers['Content-Length'] = Buffer.byteLength(postData);
+      }
+      if (this.auth) {
+        Object.assign(headers, this.auth.headers(method, path, headers, postData));
+      }
+
+      const options = {
+        hostname: peer.ip,
+        port: peer.internalPort,
+        path,
+        method,
+        headers,
+        timeout: this.timeout
+      };
+      if (this.auth) {
+        options.agent = this.auth.agent();
+      }
+
+      const transport = this.auth ? this.auth.transport : http;
+      const req = transport.request(options, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          let parsed = null;
+          if (data) {
+            try {
+              parsed = JSON.parse(data);
+            } catch (error) {
+              return reject(new Error('Invalid JSON response'));
+            }
+          }
+          resolve({ statusCode: res.statusCode, body: parsed });
+        });
+      });
+
+      req.on('error', reject);
+      req.on('timeout', () => {
+        req.destroy();
+        reject(new Error('Request timeout'));
+      });
+
+      if (postData !== null) {
+        req.write(postData);
+      }
+      req.end();
+    });
+  }
+}
+
+module.exports = PeerClient;
+module.exports.ORIGIN_HEADER = ORIGIN_HEADER;
+module.exports.HOPS_HEADER = HOPS_HEADER;
@@ -0,0 +1,231 @@
+const os = require('os');
+const PeerClient = require('./peer-client');
+
+// Base for discovery providers that learn candidate addresses from an
+// outside source (DNS, a static seed list) rather than from the pods
+// themselves. Every refresh the subclass's resolveAddresses() returns
+// { ip, internalPort } candidates; each is asked for its identity on the
+// internal listener (GET /_internal/node), which also serves as the liveness
+// check. A peer is dropped once it has not answered for the stale threshold,
+// and immediately when it announces that it is leaving.
+//
+// Providers expose the same surface as UDPDiscovery: start, stop, leave,
+// getPeers, getLocalNode, onPeerDiscovered, peerLeft and isRunning.
+class PolledDiscovery {
+  constructor(tenant, logger, metrics, config, options = {}) {
+    this.tenant = tenant;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.podName = process.env.HOSTNAME || os.hostname();
+    this.podIP = process.env.POD_IP || getLocalIP();
+    this.servicePort = config.port;
+    this.internalPort = config.internalPort;
+    this.refreshIntervalMs = config.discovery.refreshIntervalMs;
+    this.staleThresholdMs = config.discovery.staleThresholdMs;
+    this.incarnation = Date.now();
+    this.leaving = false;
+
+    this.peers = new Map();
+    this.discoveryCallbacks = [];
+    this.refreshInterval = null;
+    this.refreshing = false;
+    this.running = false;
+    this.client = new PeerClient(this.getLocalNode(), logger, {
+      timeout: config.cluster.peerTimeoutMs,
+      auth: options.peerAuth
+    });
+  }
+
+  // Candidate { ip, internalPort } addresses; implemented by each provider
+  async resolveAddresses() {
+    throw new Error('resolveAddresses() not implemented');
+  }
+
+  onPeerDiscovered(callback) {
+    this.discoveryCallbacks.push(callback);
+  }
+
+  async start() {
+    this.logger.info({
+      provider: this.provider,
+      tenant: this.tenant,
+      podName: this.podName,
+      podIP: this.podIP,
+      refreshIntervalMs: this.refreshIntervalMs
+    }, 'Starting discovery');
+
+    this.running = true;
+    await this.refresh();
+    this.refreshInterval = setInterval(() => this.refresh(), this.refreshIntervalMs);
+  }
+
+  async refresh() {
+    // A slow resolver or peer must not stack refreshes on top of each other
+    if (this.refreshing || this.leaving) return;
+    this.refreshing = true;
+
+    try {
+      let addresses;
+      try {
+        addresses = await this.resolveAddresses();
+      } catch (error) {
+        // Keep the current members; they still age out if they stop answering
+        this.logger.warn({ err: error, provider: this.provider }, 'Failed to resolve discovery addresses');
+        addresses = [];
+      }
+
+      const candidates = addresses.filter(address =>
+        !(address.ip === this.podIP && address.internalPort === this.internalPort));
+      const seen = new Set();
+
+      await Promise.all(candidates.map(async (address) => {
+        const node = await this.fetchNode(address);
+        if (node) {
+          seen.add(node.name);
+          this.updatePeer(node);
+        }
+      }));
+
+      this.removeStalePeers(seen);
+    } finally {
+      this.refreshing = false;
+    }
+  }
+
+  // Identity of the pod behind an address, or null if it didn't answer, is
+  // leaving, belongs to another tenant or turns out to be this pod
+  async fetchNode(address) {
+    try {
+      const response = await this.client.request(address, 'GET', '/_internal/node');
+      this.metrics.recordDiscoveryMessage('node', 'sent');
+      if (response.statusCode !== 200) return null;
+
+      const node = response.body;
+      if (node.tenant !== this.tenant || node.name === this.podName || node.leaving) {
+        return null;
+      }
+      return {
+        name: node.name,
+        ip: address.ip,
+        port: node.port,
+        internalPort: address.internalPort,
+        incarnation: node.incarnation,
+        protocolVersion: node.protocolVersion
+      };
+    } catch (error) {
+      this.logger.debug({ err: error, ip: address.ip, port: address.internalPort }, 'Discovery candidate did not answer');
+      return null;
+    }
+  }
+
+  updatePeer(node) {
+    const existing = this.peers.get(node.name);
+    const peer = { ...node, lastSeen: new Date() };
+
+    // A pod restarted under the same name is a new member
+    if (existing && existing.incarnation !== node.incarnation) {
+      this.logger.info({ peerName: node.name, tenant: this.tenant }, 'Peer restarted');
+      this.peers.delete(node.name);
+      this.notifyPeerDiscovered(existing, 'removed');
+    }
+
+    this.peers.set(node.name, peer);
+    if (!existing || existing.incarnation !== node.incarnation) {
+      this.logger.info({ peerName: node.name, peerIP: node.ip, tenant: this.tenant }, 'Discovered new peer');
+      this.notifyPeerDiscovered(peer, 'added');
+    }
+  }
+
+  removeStalePeers(seen) {
+    const now = new Date();
+
+    for (const [name, peer] of this.peers) {
+      if (seen.has(name) || now - peer.lastSeen <= this.staleThresholdMs) continue;
+
+      this.logger.info({ peerName: name, tenant: this.tenant }, 'Removing stale peer');
+      this.removePeer(peer);
+    }
+  }
+
+  removePeer(peer) {
+    this.peers.delete(peer.name);
+    this.notifyPeerDiscovered(peer, 'removed');
+  }
+
+  // A peer announced on the internal listener that it is leaving
+  peerLeft(name, incarnation) {
+    const peer = this.peers.get(name);
+    if (!peer || peer.incarnation !== incarnation) return;
+
+    this.logger.info({ peerName: name, tenant: this.tenant }, 'Peer left');
+    this.removePeer(peer);
+  }
+
+  // Stop refreshing and tell every known peer we are going
+  leave() {
+    this.leaving = true;
+    clearInterval(this.refreshInterval);
+    this.refreshInterval = null;
+
+    this.logger.info({ tenant: this.tenant }, 'Announcing departure to peers');
+    const body = { name: this.podName, incarnation: this.incarnation };
+    for (const peer of this.peers.values()) {
+      this.client.request(peer, 'POST', '/_internal/node/leave', { body })
+        .then(() => this.metrics.recordDiscoveryMessage('leave', 'sent'))
+        .catch(error => {
+          this.logger.debug({ err: error, peerName: peer.name }, 'Failed to announce departure');
+        });
+    }
+  }
+
+  notifyPeerDiscovered(peer, action) {
+    this.discoveryCallbacks.forEach(callback => {
+      try {
+        callback(peer, action);
+      } catch (error) {
+        this.logger.error({ err: error, tenant: this.tenant }, 'Error in discovery callback');
+      }
+    });
+  }
+
+  getPeers() {
+    return Array.from(this.peers.values());
+  }
+
+  getLocalNode() {
+    return {
+      name: this.podName,
+      ip: this.podIP,
+      port: this.servicePort,
+      internalPort: this.internalPort,
+      incarnation: this.incarnation
+    };
+  }
+
+  isRunning() {
+    return this.running;
+  }
+
+  stop() {
+    this.running = false;
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+    this.logger.info({ provider: this.provider, tenant: this.tenant }, 'Discovery stopped');
+  }
+}
+
+const getLocalIP = () => {
+  const interfaces = os.networkInterfaces();
+  for (const name of Object.keys(interfaces)) {
+    for (const iface of interfaces[name]) {
+      if (iface.family === 'IPv4' && !iface.internal) {
+        return iface.address;
+      }
+    }
+  }
+  return '127.0.0.1';
+};
+
+module.exports = PolledDiscovery;
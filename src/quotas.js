@@ -0,0 +1,120 @@
+const { PayloadTooLargeError, TooManyRequestsError } = require('./errors');
+
+// Size limits on keys and values, and the tenant's cluster-wide key quota.
+// Every key is accounted for by its primary owner, so the cluster total is
+// this pod's primary key count plus the counts its peers report from
+// /_internal/usage. Peers are polled every LIMIT_USAGE_REFRESH_INTERVAL_MS;
+// keys created through this pod in between are added on top, so a burst spread
+// over several pods can overshoot the quota by at most one refresh interval of
+// writes.
+class Quotas {
+  constructor(kvCache, logger, metrics, config) {
+    this.kvCache = kvCache;
+    this.logger = logger;
+    this.metrics = metrics;
+    this.maxKeyBytes = config.limits.maxKeyBytes;
+    this.maxValueBytes = config.limits.maxValueBytes;
+    this.maxKeys = config.limits.maxKeys;
+    this.refreshIntervalMs = config.limits.usageRefreshIntervalMs;
+    this.counts = new Map();
+    this.admitted = 0;
+    this.interval = null;
+  }
+
+  start() {
+    // Without a key quota there is nothing to count
+    if (this.maxKeys === 0) return;
+
+    this.refresh();
+    this.interval = setInterval(() => this.refresh(), this.refreshIntervalMs);
+    this.interval.unref();
+    this.logger.info({
+      maxKeys: this.maxKeys,
+      refreshIntervalMs: this.refreshIntervalMs
+    }, 'Key quota accounting started');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  async refresh() {
+    const peers = this.kvCache.getPeers();
+    const counts = new Map([[this.kvCache.localNode.name, this.kvCache.countPrimaryKeys()]]);
+
+    await Promise.allSettled(peers.map(async (peer) => {
+      try {
+        counts.set(peer.name, await this.kvCache.getUsageFromPeer(peer));
+      } catch (error) {
+        // Keep the last known count rather than under-counting
+        if (this.counts.has(peer.name)) {
+          counts.set(peer.name, this.counts.get(peer.name));
+        }
+        this.logger.debug({ err: error, peerName: peer.name }, 'Failed to get key usage from peer');
+      }
+    }));
+
+    this.counts = counts;
+    this.admitted = 0;
+    this.metrics.updateClusterKeys(this.total());
+  }
+
+  total() {
+    let total = this.admitted;
+    for (const count of this.counts.values()) {
+      total += count;
+    }
+    return total;
+  }
+
+  // Size checks for a write; throws PayloadTooLargeError with the rejection
+  // reason attached
+  checkSize(key, value) {
+    if (Buffer.byteLength(key) > this.maxKeyBytes) {
+      throw this.rejection(new PayloadTooLargeError(`Key exceeds ${this.maxKeyBytes} bytes`), 'key_too_large');
+    }
+    const serialized = value === undefined ? '' : JSON.stringify(value);
+    if (Buffer.byteLength(serialized || '') > this.maxValueBytes) {
+      throw this.rejection(new PayloadTooLargeError(`Value exceeds ${this.maxValueBytes} bytes`), 'value_too_large');
+    }
+  }
+
+  // Checks for a write that may create `key`. Overwriting an existing key is
+  // always allowed; a new key is refused once the tenant is at its quota.
+  // Returns whether the write creates the key, in which case the caller
+  // reports it with recordCreated once the write has succeeded.
+  async checkWrite(key, value) {
+    this.checkSize(key, value);
+    if (this.maxKeys === 0) return false;
+
+    if (await this.kvCache.get(key) !== null) return false;
+    if (this.total() >= this.maxKeys) {
+      throw this.rejection(new TooManyRequestsError(`Key quota of ${this.maxKeys} keys exceeded`), 'key_quota');
+    }
+    return true;
+  }
+
+  // Count a key created through this pod until the next refresh includes it
+  recordCreated() {
+    this.admitted++;
+  }
+
+  rejection(error, reason) {
+    error.reason = reason;
+    return error;
+  }
+
+  getStatus() {
+    return {
+      maxKeyBytes: this.maxKeyBytes,
+      maxValueBytes: this.maxValueBytes,
+      maxKeys: this.maxKeys,
+      clusterKeys: this.maxKeys === 0 ? null : this.total()
+    };
+  }
+}
+
+module.exports = Quotas;
@@ -0,0 +1,119 @@
+const { TooManyRequestsError } = require('./errors');
+
+// How often buckets of clients that went quiet are dropped
+const PRUNE_INTERVAL_MS = 60000;
+
+// Per-client token buckets for the /kv and /locks routes. Each client may
+// burst up to RATE_LIMIT_BURST requests and is refilled at RATE_LIMIT_RPS
+// tokens per second. Authenticated clients are identified by their principal, anonymous
+// ones by address (see TRUST_PROXY_HOPS when behind the ingress). Limits are
+// per pod: with N pods behind the ingress a client gets up to N times the rate.
+//
+// Every request is first charged to its address, before authentication, so
+// callers with missing or wrong credentials are limited too. The token is
+// handed back once the request authenticates, and the principal's own bucket
+// is charged instead.
+class RateLimiter {
+  constructor(config, logger, metrics) {
+    this.logger = logger;
+    this.metrics = metrics;
+    this.rate = config.limits.rateLimit.requestsPerSecond;
+    this.burst = config.limits.rateLimit.burst;
+    this.enabled = this.rate > 0;
+    this.buckets = new Map();
+    this.interval = null;
+  }
+
+  start() {
+    if (!this.enabled) return;
+
+    this.interval = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.interval.unref();
+    this.logger.info({ requestsPerSecond: this.rate, burst: this.burst }, 'Rate limiting enabled');
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  addressId(req) {
+    return `ip:${req.ip}`;
+  }
+
+  principalId(req) {
+    return `${req.principal.type}:${req.principal.name}`;
+  }
+
+  // Take a token for `client`; returns 0 if allowed, otherwise the
+  // milliseconds until a token is available
+  take(client, now = Date.now()) {
+    let bucket = this.buckets.get(client);
+    if (!bucket) {
+      bucket = { tokens: this.burst, updatedAt: now };
+      this.buckets.set(client, bucket);
+    }
+
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * this.rate / 1000);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - bucket.tokens) * 1000 / this.rate);
+  }
+
+  // Return a token taken from `client`
+  refund(client) {
+    const bucket = this.buckets.get(client);
+    if (bucket) {
+      bucket.tokens = Math.min(this.burst, bucket.tokens + 1);
+    }
+  }
+
+  // A bucket that has refilled completely is indistinguishable from a new one
+  prune(now = Date.now()) {
+    const fullAfterMs = this.burst * 1000 / this.rate;
+    for (const [client, bucket] of this.buckets) {
+      if (now - bucket.updatedAt >= fullAfterMs) {
+        this.buckets.delete(client);
+      }
+    }
+  }
+
+  // Mounted before authentication: charges the caller's address
+  limitAddresses() {
+    return (req, res, next) => {
+      if (!this.enabled) return next();
+      this.limit(req, res, next, this.addressId(req));
+    };
+  }
+
+  // Mounted after authentication: moves an authenticated request's charge
+  // from its address to its principal. Anonymous requests stay charged to
+  // their address.
+  limitPrincipals() {
+    return (req, res, next) => {
+      if (!this.enabled || !req.principal) return next();
+
+      this.refund(this.addressId(req));
+      this.limit(req, res, next, this.principalId(req));
+    };
+  }
+
+  limit(req, res, next, client) {
+    const retryAfterMs = this.take(client);
+    if (retryAfterMs === 0) return next();
+
+    const error = new TooManyRequestsError('Rate limit exceeded', retryAfterMs);
+    this.metrics.recordRequestRejected('rate_limited');
+    req.log.warn({ client, retryAfterMs }, 'Request refused by rate limit');
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    res.status(error.statusCode).json({ error: error.message, retryAfterMs });
+  }
+}
+
+module.exports = RateLimiter;
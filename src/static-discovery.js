@@ -0,0 +1,30 @@
+const PolledDiscovery = require('./polled-discovery');
+
+// Members from a fixed seed list, `PEERS=host[:internalPort],...`. Hosts may
+// be IPs or names (e.g. StatefulSet pod DNS names); the port defaults to this
+// pod's internal port. Seeds that aren't up yet are simply retried on every
+// refresh, so the whole list can be given to every pod, including itself.
+class StaticDiscovery extends PolledDiscovery {
+  constructor(tenant, logger, metrics, config, options = {}) {
+    super(tenant, logger, metrics, config, options);
+    this.provider = 'static';
+    this.seeds = parsePeers(config.discovery.static.peers, this.internalPort);
+  }
+
+  async resolveAddresses() {
+    return this.seeds;
+  }
+}
+
+const parsePeers = (peers, defaultPort) => {
+  return peers.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [host, port] = entry.split(':');
+      return { ip: host, internalPort: port ? Number(port) : defaultPort };
+    });
+};
+
+module.exports = StaticDiscovery;
+module.exports.parsePeers = parsePeers;
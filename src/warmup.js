@@ -0,0 +1,101 @@
+// Startup phase that keeps a new pod out of rotation until it holds the keys
+// it is responsible for. It listens for peers during the discovery window,
+// then pulls its key ranges from every peer found, and reports ready once
+// done or once the maximum wait has passed, whichever comes first.
+class WarmUp {
+  constructor(discovery, kvCache, logger, config) {
+    this.discovery = discovery;
+    this.kvCache = kvCache;
+    this.logger = logger;
+    this.discoveryWindowMs = config.warmup.discoveryWindowMs;
+    this.maxWaitMs = config.warmup.maxWaitMs;
+    this.state = 'pending';
+    this.startedAt = null;
+    this.readyAt = null;
+    this.timedOut = false;
+    this.peers = { total: 0, synced: 0, failed: 0 };
+    this.keysPulled = 0;
+    this.maxWaitTimer = null;
+  }
+
+  isReady() {
+    return this.state === 'ready';
+  }
+
+  async start() {
+    this.startedAt = Date.now();
+    this.maxWaitTimer = setTimeout(() => {
+      if (this.isReady()) return;
+
+      this.timedOut = true;
+      this.logger.warn({
+        maxWaitMs: this.maxWaitMs,
+        peers: this.peers,
+        keysPulled: this.keysPulled
+      }, 'Warm-up did not finish in time, reporting ready anyway');
+      this.markReady();
+    }, this.maxWaitMs);
+    this.maxWaitTimer.unref();
+
+    this.state = 'discovering';
+    this.logger.info({
+      discoveryWindowMs: this.discoveryWindowMs,
+      maxWaitMs: this.maxWaitMs
+    }, 'Warm-up started, waiting for peers');
+    await new Promise(resolve => setTimeout(resolve, this.discoveryWindowMs));
+    if (this.isReady()) return;
+
+    // Peers that show up from here on are synced by the cache's own
+    // peer-added handling
+    const peers = this.discovery.getPeers();
+    this.state = 'syncing';
+    this.peers.total = peers.length;
+    this.logger.info({ peers: peers.length }, 'Warm-up pulling owned keys from peers');
+
+    for (const peer of peers) {
+      if (this.isReady()) return;
+
+      const { pulled, ok } = await this.kvCache.syncWithPeer(peer);
+      this.keysPulled += pulled;
+      if (ok) {
+        this.peers.synced++;
+      } else {
+        this.peers.failed++;
+      }
+    }
+
+    if (!this.isReady()) {
+      this.logger.info({
+        durationMs: Date.now() - this.startedAt,
+        peers: this.peers,
+        keysPulled: this.keysPulled
+      }, 'Warm-up complete');
+      this.markReady();
+    }
+  }
+
+  markReady() {
+    this.state = 'ready';
+    this.readyAt = Date.now();
+    clearTimeout(this.maxWaitTimer);
+  }
+
+  stop() {
+    clearTimeout(this.maxWaitTimer);
+  }
+
+  // Progress shown in /diag and the readiness response
+  getStatus() {
+    const end = this.readyAt || Date.now();
+
+    return {
+      state: this.state,
+      elapsedMs: this.startedAt ? end - this.startedAt : 0,
+      timedOut: this.timedOut,
+      peers: { ...this.peers },
+      keysPulled: this.keysPulled
+    };
+  }
+}
+
+module.exports = WarmUp;
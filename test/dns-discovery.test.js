@@ -0,0 +1,228 @@
+const DNSDiscovery = require('../src/dns-discovery');
+const { LOCAL_POD, createProvider, stubIdentities, recordEvents, peerNames } = require('./helpers');
+
+const SERVICE = 'kv-headless.default.svc.cluster.local';
+const SRV_NAME = `_internal._tcp.${SERVICE}`;
+
+const nxdomain = (name) => Object.assign(new Error(`queryA ENOTFOUND ${name}`), { code: 'ENOTFOUND' });
+
+// Resolver whose answers the test edits between refreshes: `a` maps names to
+// IPv4 lists and `srv` to SRV records. Unknown names fail like NXDOMAIN.
+const stubResolver = () => {
+  const records = { a: {}, srv: {} };
+  return {
+    records,
+    resolve4: jest.fn(async (name) => {
+      if (!records.a[name]) throw nxdomain(name);
+      return records.a[name];
+    }),
+    resolveSrv: jest.fn(async (name) => {
+      if (!records.srv[name]) throw nxdomain(name);
+      return records.srv[name];
+    })
+  };
+};
+
+describe('DNSDiscovery', () => {
+  let resolver;
+  let pods;
+
+  const createDiscovery = (env = {}) => {
+    const discovery = createProvider(DNSDiscovery, {
+      DISCOVERY_PROVIDER: 'dns',
+      DISCOVERY_DNS_NAME: SERVICE,
+      DISCOVERY_DNS_RECORD_TYPE: 'a',
+      ...env
+    }, { resolver });
+    stubIdentities(discovery, pods);
+    return discovery;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+    resolver = stubResolver();
+    pods = {
+      [`${LOCAL_POD.ip}:3001`]: { name: LOCAL_POD.name },
+      '10.0.0.2:3001': { name: 'kv-1' },
+      '10.0.0.3:3001': { name: 'kv-2' },
+      '10.0.0.4:3001': { name: 'kv-3' }
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('A records', () => {
+    it('adds every pod behind the name except this one', async () => {
+      resolver.records.a[SERVICE] = [LOCAL_POD.ip, '10.0.0.2', '10.0.0.3'];
+      const discovery = createDiscovery();
+      const events = recordEvents(discovery);
+
+      await discovery.refresh();
+
+      expect(resolver.resolve4).toHaveBeenCalledWith(SERVICE);
+      expect(peerNames(discovery)).toEqual(['kv-1', 'kv-2']);
+      expect(events).toEqual(expect.arrayContaining([
+        ['added', 'kv-1', '10.0.0.2'],
+        ['added', 'kv-2', '10.0.0.3']
+      ]));
+      expect(discovery.client.request).not.toHaveBeenCalledWith(
+        expect.objectContaining({ ip: LOCAL_POD.ip }), 'GET', '/_internal/node');
+    });
+
+    it('adds a pod whose address appears later', async () => {
+      resolver.records.a[SERVICE] = ['10.0.0.2'];
+      const discovery = createDiscovery();
+      const events = recordEvents(discovery);
+      await discovery.refresh();
+
+      resolver.records.a[SERVICE] = ['10.0.0.2', '10.0.0.4'];
+      await discovery.refresh();
+
+      expect(peerNames(discovery)).toEqual(['kv-1', 'kv-3']);
+      expect(events).toEqual([
+        ['added', 'kv-1', '10.0.0.2'],
+        ['added', 'kv-3', '10.0.0.4']
+      ]);
+    });
+
+    it('keeps a pod whose address disappeared until the stale threshold passes', async () => {
+      resolver.records.a[SERVICE] = ['10.0.0.2', '10.0.0.3'];
+      const discovery = createDiscovery();
+      const events = recordEvents(discovery);
+      await discovery.refresh();
+
+      resolver.records.a[SERVICE] = ['10.0.0.2'];
+      jest.advanceTimersByTime(10000);
+      await discovery.refresh();
+      expect(peerNames(discovery)).toEqual(['kv-1', 'kv-2']);
+
+      jest.advanceTimersByTime(6000);
+      await discovery.refresh();
+      expect(peerNames(discovery)).toEqual(['kv-1']);
+      expect(events).toContainEqual(['removed', 'kv-2', '10.0.0.3']);
+    });
+
+    it('replaces a pod that came back under the same name at a new address', async () => {
+      resolver.records.a[SERVICE] = ['10.0.0.2'];
+      const discovery = createDiscovery();
+      const events = recordEvents(discovery);
+      await discovery.refresh();
+
+      // Rescheduled pods keep their StatefulSet name but get a new IP and incarnation
+      pods['10.0.0.9:3001'] = { name: 'kv-1', incarnation: 2 };
+      resolver.records.a[SERVICE] = ['10.0.0.9'];
+      await discovery.refresh();
+
+      expect(discovery.getPeers()).toEqual([expect.objectContaining({ name: 'kv-1', ip: '10.0.0.9', incarnation: 2 })]);
+      expect(events).toEqual([
+        ['added', 'kv-1', '10.0.0.2'],
+        ['removed', 'kv-1', '10.0.0.2'],
+        ['added', 'kv-1', '10.0.0.9']
+      ]);
+    });
+
+    it('adds a pod listed more than once a single time', async () => {
+      resolver.records.a[SERVICE] = ['10.0.0.2', '10.0.0.2', '10.0.0.3', '10.0.0.2'];
+      const discovery = createDiscovery();
+      const events = recordEvents(discovery);
+
+      await discovery.refresh();
+      await discovery.refresh();
+
+      expect(discovery.getPeers()).toHaveLength(2);
+      expect(events.filter(([action, name]) => action === 'added' && name === 'kv-1')).toHaveLength(1);
+    });
+
+    it('keeps the current members while the name does not resolve', async () => {
+      resolver.records.a[SERVICE] = ['10.0.0.2', '10.0.0.3'];
+      const discovery = createDiscovery();
+      const events = recordEvents(discovery);
+      await discovery.refresh();
+
+      delete resolver.records.a[SERVICE];
+      jest.advanceTimersByTime(10000);
+      await expect(discovery.refresh()).resolves.toBeUndefined();
+
+      expect(peerNames(discovery)).toEqual(['kv-1', 'kv-2']);
+      expect(discovery.logger.warn).toHaveBeenCalledWith(
+        expect.objectContaining({ provider: 'dns' }), 'Failed to resolve discovery addresses');
+
+      // Members that stop being seen still age out
+      jest.advanceTimersByTime(6000);
+      await discovery.refresh();
+      expect(discovery.getPeers()).toEqual([]);
+      expect(events.filter(([action]) => action === 'removed')).toHaveLength(2);
+    });
+
+    it('ignores addresses that do not answer or belong to another tenant', async () => {
+      pods['10.0.0.3:3001'] = { name: 'other-1', tenant: 'other' };
+      resolver.records.a[SERVICE] = ['10.0.0.2', '10.0.0.3', '10.0.0.8'];
+      const discovery = createDiscovery();
+
+      await discovery.refresh();
+
+      expect(peerNames(discovery)).toEqual(['kv-1']);
+    });
+  });
+
+  describe('SRV records', () => {
+    const srv = (name, port = 3001) => ({ name, port, priority: 0, weight: 1 });
+
+    it('resolves each target and uses the port from its record', async () => {
+      pods['10.0.0.2:4001'] = { name: 'kv-1' };
+      resolver.records.srv[SRV_NAME] = [srv(`kv-1.${SERVICE}`, 4001), srv(`kv-2.${SERVICE}`)];
+      resolver.records.a[`kv-1.${SERVICE}`] = ['10.0.0.2'];
+      resolver.records.a[`kv-2.${SERVICE}`] = ['10.0.0.3'];
+      const discovery = createDiscovery({ DISCOVERY_DNS_NAME: SRV_NAME, DISCOVERY_DNS_RECORD_TYPE: 'srv' });
+
+      await discovery.refresh();
+
+      expect(resolver.resolveSrv).toHaveBeenCalledWith(SRV_NAME);
+      expect(discovery.getPeers()).toEqual(expect.arrayContaining([
+        expect.objectContaining({ name: 'kv-1', ip: '10.0.0.2', internalPort: 4001 }),
+        expect.objectContaining({ name: 'kv-2', ip: '10.0.0.3', internalPort: 3001 })
+      ]));
+    });
+
+    it('skips targets that have no address record yet', async () => {
+      resolver.records.srv[SRV_NAME] = [srv(`kv-1.${SERVICE}`), srv(`kv-2.${SERVICE}`)];
+      resolver.records.a[`kv-1.${SERVICE}`] = ['10.0.0.2'];
+      const discovery = createDiscovery({ DISCOVERY_DNS_NAME: SRV_NAME, DISCOVERY_DNS_RECORD_TYPE: 'srv' });
+
+      await discovery.refresh();
+      expect(peerNames(discovery)).toEqual(['kv-1']);
+
+      resolver.records.a[`kv-2.${SERVICE}`] = ['10.0.0.3'];
+      await discovery.refresh();
+      expect(peerNames(discovery)).toEqual(['kv-1', 'kv-2']);
+    });
+
+    it('adds a pod reached through several records a single time', async () => {
+      resolver.records.srv[SRV_NAME] = [srv(`kv-1.${SERVICE}`), srv(`kv-1-alias.${SERVICE}`)];
+      resolver.records.a[`kv-1.${SERVICE}`] = ['10.0.0.2'];
+      resolver.records.a[`kv-1-alias.${SERVICE}`] = ['10.0.0.2'];
+      const discovery = createDiscovery({ DISCOVERY_DNS_NAME: SRV_NAME, DISCOVERY_DNS_RECORD_TYPE: 'srv' });
+      const events = recordEvents(discovery);
+
+      await discovery.refresh();
+
+      expect(peerNames(discovery)).toEqual(['kv-1']);
+      expect(events).toEqual([['added', 'kv-1', '10.0.0.2']]);
+    });
+
+    it('keeps the current members while the SRV name does not resolve', async () => {
+      resolver.records.srv[SRV_NAME] = [srv(`kv-1.${SERVICE}`)];
+      resolver.records.a[`kv-1.${SERVICE}`] = ['10.0.0.2'];
+      const discovery = createDiscovery({ DISCOVERY_DNS_NAME: SRV_NAME, DISCOVERY_DNS_RECORD_TYPE: 'srv' });
+      await discovery.refresh();
+
+      delete resolver.records.srv[SRV_NAME];
+      await discovery.refresh();
+
+      expect(peerNames(discovery)).toEqual(['kv-1']);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { loadConfig } = require('../src/config');
+
+// Identity this pod reports to the providers under test
+const LOCAL_POD = { name: 'kv-0', ip: '10.0.0.1' };
+
+const createLogger = () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  debug: jest.fn(),
+  error: jest.fn()
+});
+
+const createMetrics = () => ({
+  recordDiscoveryMessage: jest.fn()
+});
+
+// Validated configuration from env-style overrides, as the service loads it
+const createConfig = (env = {}) => loadConfig({
+  INTERNAL_PORT: '3001',
+  DISCOVERY_REFRESH_INTERVAL_MS: '1000',
+  DISCOVERY_STALE_THRESHOLD_MS: '15000',
+  ...env
+});
+
+// A provider as this pod would create it; the pod's own name and address
+// come from the environment, as in Kubernetes
+const createProvider = (Provider, env, options) => {
+  process.env.HOSTNAME = LOCAL_POD.name;
+  process.env.POD_IP = LOCAL_POD.ip;
+  return new Provider('default', createLogger(), createMetrics(), createConfig(env), options);
+};
+
+// Stands in for the internal listeners of the pods behind each address:
+// `pods` maps "ip:port" to the identity GET /_internal/node returns.
+// Addresses missing from it refuse the connection.
+const stubIdentities = (discovery, pods) => {
+  discovery.client.request = jest.fn(async (address, method, path) => {
+    const pod = pods[`${address.ip}:${address.internalPort}`];
+    if (method !== 'GET' || path !== '/_internal/node' || !pod) {
+      throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    }
+    return {
+      statusCode: 200,
+      body: { tenant: 'default', port: 3000, incarnation: 1, leaving: false, ...pod }
+    };
+  });
+  return discovery.client.request;
+};
+
+// Peer added/removed notifications as [action, name, ip] tuples
+const recordEvents = (discovery) => {
+  const events = [];
+  discovery.onPeerDiscovered((peer, action) => events.push([action, peer.name, peer.ip]));
+  return events;
+};
+
+const peerNames = (discovery) => discovery.getPeers().map(peer => peer.name).sort();
+
+module.exports = {
+  LOCAL_POD,
+  createLogger,
+  createMetrics,
+  createConfig,
+  createProvider,
+  stubIdentities,
+  recordEvents,
+  peerNames
+};
@@ -0,0 +1,125 @@
+const StaticDiscovery = require('../src/static-discovery');
+const { parsePeers } = require('../src/static-discovery');
+const { LOCAL_POD, createProvider, stubIdentities, recordEvents, peerNames } = require('./helpers');
+
+describe('parsePeers', () => {
+  it('defaults the port and skips empty entries', () => {
+    expect(parsePeers(' 10.0.0.2:4001, kv-2.kv-headless ,,10.0.0.4 ', 3001)).toEqual([
+      { ip: '10.0.0.2', internalPort: 4001 },
+      { ip: 'kv-2.kv-headless', internalPort: 3001 },
+      { ip: '10.0.0.4', internalPort: 3001 }
+    ]);
+  });
+});
+
+describe('StaticDiscovery', () => {
+  let pods;
+
+  const createDiscovery = (peers) => {
+    const discovery = createProvider(StaticDiscovery, { DISCOVERY_PROVIDER: 'static', PEERS: peers });
+    stubIdentities(discovery, pods);
+    return discovery;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'queueMicrotask', 'setImmediate'] });
+    jest.setSystemTime(new Date('2024-01-01T00:00:00Z'));
+    pods = {
+      [`${LOCAL_POD.ip}:3001`]: { name: LOCAL_POD.name },
+      '10.0.0.2:3001': { name: 'kv-1' },
+      '10.0.0.3:4001': { name: 'kv-2' }
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('adds the seeds that answer, skipping this pod', async () => {
+    const discovery = createDiscovery(`${LOCAL_POD.ip}, 10.0.0.2, 10.0.0.3:4001`);
+    const events = recordEvents(discovery);
+
+    await discovery.refresh();
+
+    expect(peerNames(discovery)).toEqual(['kv-1', 'kv-2']);
+    expect(discovery.getPeers()).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'kv-2', ip: '10.0.0.3', internalPort: 4001 })
+    ]));
+    expect(events).toHaveLength(2);
+  });
+
+  it('retries seeds that are not up yet on every refresh', async () => {
+    delete pods['10.0.0.2:3001'];
+    const discovery = createDiscovery('10.0.0.2,10.0.0.3:4001');
+    const events = recordEvents(discovery);
+
+    await discovery.refresh();
+    expect(peerNames(discovery)).toEqual(['kv-2']);
+
+    pods['10.0.0.2:3001'] = { name: 'kv-1' };
+    await discovery.refresh();
+    expect(peerNames(discovery)).toEqual(['kv-1', 'kv-2']);
+    expect(events).toEqual([
+      ['added', 'kv-2', '10.0.0.3'],
+      ['added', 'kv-1', '10.0.0.2']
+    ]);
+  });
+
+  it('removes a seed once it has not answered for the stale threshold', async () => {
+    const discovery = createDiscovery('10.0.0.2,10.0.0.3:4001');
+    const events = recordEvents(discovery);
+    await discovery.refresh();
+
+    delete pods['10.0.0.3:4001'];
+    jest.advanceTimersByTime(10000);
+    await discovery.refresh();
+    expect(peerNames(discovery)).toEqual(['kv-1', 'kv-2']);
+
+    jest.advanceTimersByTime(6000);
+    await discovery.refresh();
+    expect(peerNames(discovery)).toEqual(['kv-1']);
+    expect(events).toContainEqual(['removed', 'kv-2', '10.0.0.3']);
+  });
+
+  it('follows a seed whose pod was replaced', async () => {
+    const discovery = createDiscovery('10.0.0.2');
+    const events = recordEvents(discovery);
+    await discovery.refresh();
+
+    pods['10.0.0.2:3001'] = { name: 'kv-1', incarnation: 2 };
+    await discovery.refresh();
+
+    expect(discovery.getPeers()).toEqual([expect.objectContaining({ name: 'kv-1', incarnation: 2 })]);
+    expect(events).toEqual([
+      ['added', 'kv-1', '10.0.0.2'],
+      ['removed', 'kv-1', '10.0.0.2'],
+      ['added', 'kv-1', '10.0.0.2']
+    ]);
+  });
+
+  it('adds a seed listed more than once a single time', async () => {
+    const discovery = createDiscovery('10.0.0.2,10.0.0.2:3001,10.0.0.2');
+    const events = recordEvents(discovery);
+
+    await discovery.refresh();
+
+    expect(peerNames(discovery)).toEqual(['kv-1']);
+    expect(events).toEqual([['added', 'kv-1', '10.0.0.2']]);
+  });
+
+  it('drops a peer that announced it is leaving', async () => {
+    const discovery = createDiscovery('10.0.0.2');
+    const events = recordEvents(discovery);
+    await discovery.refresh();
+
+    discovery.peerLeft('kv-1', 1);
+    pods['10.0.0.2:3001'] = { name: 'kv-1', leaving: true };
+    await discovery.refresh();
+
+    expect(discovery.getPeers()).toEqual([]);
+    expect(events).toEqual([
+      ['added', 'kv-1', '10.0.0.2'],
+      ['removed', 'kv-1', '10.0.0.2']
+    ]);
+  });
+});